@@ -69,13 +69,15 @@
   // - "LE:CUSTOM" => Shorts if duration <= custom seconds
   // - "GE:CUSTOM" => Long if duration >= custom seconds (Shorts otherwise)
   // - "OFF" => classification off (type blank)
+  // - "VERIFIED" => server-verified Shorts (/shorts/ probe), ≤ 60s for videos it couldn't verify
   function getLengthRule(channelKey){
-    const sel = $(channelKey==="A" ? "shortsA" : "shortsB");
-    const custom = $(channelKey==="A" ? "shortsCustomA" : "shortsCustomB");
+    const sel = $("shorts"+channelKey);
+    const custom = $("shortsCustom"+channelKey);
     const v = (sel ? String(sel.value||sel.options?.[sel.selectedIndex]?.value||sel.value||"") : "").trim();
     if(!v) return { mode:"LE", seconds:60, raw:"LE:60" };
 
     if(v === "OFF") return { mode:"OFF", seconds:null, raw:"OFF" };
+    if(v === "VERIFIED") return { mode:"VERIFIED", seconds:60, raw:"VERIFIED" };
 
     // backward compatibility: if it's a plain number
     if(/^[0-9]+$/.test(v)){
@@ -98,12 +100,12 @@
   }
 
   function resolveMax(channelKey){
-    const sel = $(channelKey==="A" ? "maxA" : "maxB");
+    const sel = $("max"+channelKey);
     const val = (sel?.value ?? "").trim();
     if(!val) return 50; // default
     if(val==="ALL") return 500;
     if(val==="CUSTOM"){
-      const inp = $(channelKey==="A" ? "maxCustomA" : "maxCustomB");
+      const inp = $("maxCustom"+channelKey);
       const n = parseInt((inp?.value ?? "").trim(), 10);
       if(Number.isFinite(n) && n>0) return Math.min(500, n);
       return 50;
@@ -114,11 +116,12 @@
   }
 
   function resolveDays(channelKey){
-    const sel = $(channelKey==="A" ? "daysA" : "daysB");
+    const sel = $("days"+channelKey);
     const val = (sel?.value ?? "").trim();
     if(!val) return 30; // default
+    if(val==="RANGE") return 0; // absolute window instead, see resolveRange
     if(val==="CUSTOM"){
-      const inp = $(channelKey==="A" ? "daysCustomA" : "daysCustomB");
+      const inp = $("daysCustom"+channelKey);
       const n = parseInt((inp?.value ?? "").trim(), 10);
       if(Number.isFinite(n) && n>=0) return Math.min(3650, n);
       return 30;
@@ -128,8 +131,13 @@
     return 30;
   }
 
+  // "선택 안함" sends no days: the server then uses 30 for channels/search and no cutoff for playlists
+  function daysParam(channelKey){
+    return ($("days"+channelKey)?.value ?? "").trim() === "" ? "" : "&days=" + encodeURIComponent(String(resolveDays(channelKey)));
+  }
+
   function resolveLocale(channelKey){
-    const sel = $(channelKey==="A" ? "localeA" : "localeB");
+    const sel = $("locale"+channelKey);
     const val = (sel?.value ?? "").trim();
     if(!val) return { region:"KR", lang:"ko" }; // default
     if(val==="ALL") return { region:"", lang:"" };
@@ -139,20 +147,22 @@
 
 
   function updateShortsUI(channelKey){
-    const sel = $(channelKey==="A" ? "shortsA" : "shortsB");
-    const wrap = $(channelKey==="A" ? "shortsCustomWrapA" : "shortsCustomWrapB");
-    const help = $(channelKey==="A" ? "shortsHelpA" : "shortsHelpB");
+    const sel = $("shorts"+channelKey);
+    const wrap = $("shortsCustomWrap"+channelKey);
+    const help = $("shortsHelp"+channelKey);
     if(!sel || !wrap || !help) return;
 
     const v = String(sel.value||"");
     const isCustom = v.indexOf("CUSTOM")>=0;
     wrap.classList.toggle("hidden", !isCustom);
+    sel.title = v === "VERIFIED" ? "불러오기 때 서버가 /shorts/ 주소로 실제 쇼츠인지 확인합니다 (쿼터 0u). 확인 못 한 영상은 ≤ 60초 기준" : "";
 
     if(v === "OFF"){
       help.textContent = "분류를 끕니다 (쇼츠/롱폼 구분 없이 모두 포함, 타입 컬럼은 공란)";
       wrap.classList.add("hidden");
       return;
     }
+    if(v === "VERIFIED") return;
     if(v.startsWith("LE:")){
       help.textContent = "쇼츠: 길이 ≤ 입력값, 롱폼: 그보다 김";
     }else if(v.startsWith("GE:")){
@@ -162,10 +172,17 @@
     }
   }
 
+  function updateInputTypeUI(channelKey){
+    const sel = $("inputType"+channelKey);
+    const order = $("searchOrder"+channelKey);
+    if(!sel || !order) return;
+    order.classList.toggle("hidden", sel.value !== "search");
+  }
+
   function updateMaxUI(channelKey){
-    const sel = $(channelKey==="A" ? "maxA" : "maxB");
-    const wrap = $(channelKey==="A" ? "maxCustomWrapA" : "maxCustomWrapB");
-    const inp = $(channelKey==="A" ? "maxCustomA" : "maxCustomB");
+    const sel = $("max"+channelKey);
+    const wrap = $("maxCustomWrap"+channelKey);
+    const inp = $("maxCustom"+channelKey);
     if(!sel || !wrap) return;
     if(sel.value === "CUSTOM"){
       wrap.classList.remove("hidden");
@@ -175,10 +192,26 @@
     }
   }
 
+  // { from, to, pageBudget } when the collection window is an absolute date range, else null
+  function resolveRange(channelKey){
+    if(($("days"+channelKey)?.value || "") !== "RANGE") return null;
+    const from = ($("from"+channelKey)?.value || "").trim();
+    const to = ($("to"+channelKey)?.value || "").trim();
+    if(!from && !to) return null;
+    const b = parseInt($("pageBudget"+channelKey)?.value, 10);
+    return { from, to, pageBudget: Number.isFinite(b) && b>0 ? Math.min(200, b) : 40 };
+  }
+
+  function rangeParams(range){
+    if(!range) return "";
+    return "&from=" + encodeURIComponent(range.from) + "&to=" + encodeURIComponent(range.to) + "&pageBudget=" + encodeURIComponent(String(range.pageBudget));
+  }
+
   function updateDaysUI(channelKey){
-    const sel = $(channelKey==="A" ? "daysA" : "daysB");
-    const wrap = $(channelKey==="A" ? "daysCustomWrapA" : "daysCustomWrapB");
-    const inp = $(channelKey==="A" ? "daysCustomA" : "daysCustomB");
+    const sel = $("days"+channelKey);
+    const wrap = $("daysCustomWrap"+channelKey);
+    const inp = $("daysCustom"+channelKey);
+    $("rangeWrap"+channelKey)?.classList.toggle("hidden", sel?.value !== "RANGE");
     if(!sel || !wrap) return;
     if(sel.value === "CUSTOM"){
       wrap.classList.remove("hidden");
@@ -189,8 +222,8 @@
   }
 
   function getPreViewsBounds(channelKey){
-    const minEl = $(channelKey==="A" ? "preViewsMinA" : "preViewsMinB");
-    const maxEl = $(channelKey==="A" ? "preViewsMaxA" : "preViewsMaxB");
+    const minEl = $("preViewsMin"+channelKey);
+    const maxEl = $("preViewsMax"+channelKey);
     const min = parseInt((minEl?.value ?? "").trim(), 10);
     const max = parseInt((maxEl?.value ?? "").trim(), 10);
     return {
@@ -215,21 +248,37 @@
   }
 
 
+  // like/comment rates (%), comments per 1k views and a weighted score (comments count 5× a like);
+  // null when the count is hidden/disabled or there are no views yet
+  const ENGAGEMENT_COMMENT_WEIGHT = 5;
+  function engagementOf(views, likes, comments){
+    const rate = (n, scale)=> (n===null || !views) ? null : Math.round(n/views*scale*100)/100;
+    return {
+      likeRate: rate(likes, 100),
+      commentRate: rate(comments, 100),
+      commentsPer1k: rate(comments, 1000),
+      engagementScore: (likes===null || comments===null || !views) ? null
+        : Math.round((likes + ENGAGEMENT_COMMENT_WEIGHT*comments)/views*100*100)/100
+    };
+  }
+
+  const ENGAGEMENT_LABELS = { likeRate:"좋아요율(%)", commentRate:"댓글율(%)", commentsPer1k:"댓글/1천뷰", engagementScore:"참여점수" };
+
+  // "쇼츠" | "롱폼" | "" for one video under a length rule (shorts = server verification, if any)
+  function classifyType(sec, shorts, rule){
+    if(!rule || rule.mode==="OFF") return "";
+    if(rule.mode==="VERIFIED" && shorts && shorts.isShort!=null) return shorts.isShort ? "쇼츠" : "롱폼";
+    if(sec==null) return "";
+    // GE => long if >= threshold; LE (and unverified VERIFIED) => short if <= threshold
+    if(rule.mode==="GE") return (sec >= rule.seconds) ? "롱폼" : "쇼츠";
+    return (sec <= rule.seconds) ? "쇼츠" : "롱폼";
+  }
+
   function reclassifyChannel(channelKey){
     const rule = getLengthRule(channelKey);
-    const ds = state.datasets[channelKey] || [];
+    const ds = state.rawDatasets[channelKey] || state.datasets[channelKey] || [];
     for(const r of ds){
-      const sec = r.durationSeconds;
-      let kind = "";
-      if(sec==null || rule.mode==="OFF"){
-        kind = "";
-      }else if(rule.mode==="LE"){
-        kind = (sec <= rule.seconds) ? "쇼츠" : "롱폼";
-      }else{
-        // GE => long if >= threshold
-        kind = (sec >= rule.seconds) ? "롱폼" : "쇼츠";
-      }
-      r.type = kind;
+      r.type = classifyType(r.durationSeconds, r.shorts, rule);
     }
   }
 
@@ -249,36 +298,90 @@
     return uniq;
   }
 
-  function tokenizeForKeywords(title, desc){
-    const raw = ((title||"") + " " + (desc||""))
+  const KEYWORD_STOP = new Set([
+    "the","a","an","and","or","to","of","in","on","for","with","is","are","was","were","be","as","at",
+    "this","that","it","you","your","we","our","i","me","my",
+    "영상","오늘","진짜","ㅋㅋ","ㅋㅋㅋ","합니다","하기","하는","해서","했다","있는","없음","없다","있다",
+    "그리고","하지만","그래서","그런데","때문","정말","완전","너무","이거","저거","그거","우리","나","너",
+    "모든","전체","채널","조회수","좋아요","댓글","shorts","쇼츠"
+  ]);
+
+  // lowercase word tokens without URLs, hashtags, punctuation, stopwords or 1-char words (order kept)
+  function tokenizeWords(text){
+    return String(text||"")
       .replace(/https?:\/\/\S+/g, " ")
       .replace(/#[A-Za-z0-9_\u3131-\uD79D]+/g, " ")
       .replace(/[\r\n\t]/g, " ")
       .replace(/[^A-Za-z0-9\u3131-\uD79D ]/g, " ")
-      .toLowerCase();
-
-    const tokens = raw.split(/\s+/).filter(Boolean);
-    const stop = new Set([
-      "the","a","an","and","or","to","of","in","on","for","with","is","are","was","were","be","as","at",
-      "this","that","it","you","your","we","our","i","me","my",
-      "영상","오늘","진짜","ㅋㅋ","ㅋㅋㅋ","합니다","하기","하는","해서","했다","있는","없음","없다","있다",
-      "그리고","하지만","그래서","그런데","때문","정말","완전","너무","이거","저거","그거","우리","나","너",
-      "모든","전체","채널","조회수","좋아요","댓글","shorts","쇼츠"
-    ]);
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(t=>t.length>=2 && !KEYWORD_STOP.has(t));
+  }
+
+  function tokenizeForKeywords(title, desc){
     const counts = {};
-    for(const t of tokens){
-      if(t.length < 2) continue;
-      if(stop.has(t)) continue;
+    for(const t of tokenizeWords((title||"") + " " + (desc||""))){
       counts[t] = (counts[t]||0)+1;
     }
     const pairs = Object.entries(counts).sort((a,b)=>b[1]-a[1]).slice(0,20);
     return pairs.map(([k,v])=>({ keyword:k, count:v }));
   }
 
+  // Comment sentiment: small ko/en lexicon, no external service.
+  // Korean entries are stems matched as substrings, English entries are whole words.
+  // Negated phrases are counted (and removed) first so "안 좋아요" doesn't also score as positive.
+  const SENTIMENT = {
+    negPhrases: ["안 좋","좋지 않","좋지않","안좋","재미없","재미 없","별로","not good","not funny","don't like","dont like","not worth"],
+    koPos: ["좋아","좋다","좋네","좋은","좋았","최고","감사","고마","사랑","대박","웃기","웃겨","재밌","재미있","멋지","멋있","귀엽","귀여","행복","감동","추천","응원","짱","훌륭","잘했","잘 봤","잘봤","유익","도움","공감","기대","예쁘","이쁘","힐링","꿀팁","존경","천재","레전드"],
+    koNeg: ["싫","최악","실망","짜증","노잼","지루","화나","화가","불편","아쉽","아쉬","거짓","어그로","낚시","쓰레기","극혐","구독취소","비추","역겹","한심","불쾌","무례","답답","어이없","괴롭","슬프","슬퍼"],
+    enPos: new Set(["love","loved","great","awesome","amazing","good","best","thanks","thank","nice","cool","funny","helpful","beautiful","wow","perfect","excellent","favorite","favourite","brilliant","legend","enjoyed","cute","wholesome"]),
+    enNeg: new Set(["hate","hated","bad","worst","boring","terrible","awful","fake","clickbait","disappointed","disappointing","annoying","trash","stupid","waste","cringe","dislike","sad","rude","misleading","scam"])
+  };
+
+  function scoreSentiment(text){
+    let s = String(text||"").toLowerCase();
+    let pos = 0, neg = 0;
+    for(const p of SENTIMENT.negPhrases){
+      if(s.includes(p)){ neg++; s = s.split(p).join(" "); }
+    }
+    for(const w of SENTIMENT.koPos) if(s.includes(w)) pos++;
+    for(const w of SENTIMENT.koNeg) if(s.includes(w)) neg++;
+    for(const w of s.split(/[^a-z']+/)){
+      if(!w) continue;
+      if(SENTIMENT.enPos.has(w)) pos++;
+      if(SENTIMENT.enNeg.has(w)) neg++;
+    }
+    return pos>neg ? "pos" : (neg>pos ? "neg" : "neu");
+  }
+
+  function analyzeComments(comments){
+    const list = comments || [];
+    const counts = { pos:0, neg:0, neu:0 };
+    const labeled = list.map(c=>{
+      const sentiment = scoreSentiment(c.text);
+      counts[sentiment]++;
+      return Object.assign({ sentiment }, c);
+    });
+    return {
+      total: list.length,
+      counts,
+      byLikes: labeled.slice().sort((a,b)=>(b.likeCount||0)-(a.likeCount||0)).slice(0,10),
+      byReplies: labeled.filter(c=>c.replyCount>0).sort((a,b)=>b.replyCount-a.replyCount).slice(0,5),
+      keywords: tokenizeForKeywords(list.map(c=>c.text||"").join(" "), "")
+    };
+  }
+
   function safeJson(obj){
     return JSON.stringify(obj, null, 2);
   }
 
+  function median(nums){
+    const a = (nums||[]).filter(x=>x!=null && isFinite(x)).slice().sort((x,y)=>x-y);
+    if(!a.length) return null;
+    const m = Math.floor(a.length/2);
+    return a.length%2 ? a[m] : (a[m-1]+a[m])/2;
+  }
+
   // ---------- Storage ----------
   const LS = {
     get(k, fallback){ try{ const v = localStorage.getItem(k); return v ? JSON.parse(v) : fallback; }catch(_){ return fallback; } },
@@ -286,6 +389,55 @@
     del(k){ try{ localStorage.removeItem(k); }catch(_){ } }
   };
 
+  // IndexedDB: per-video statistics snapshots (history outgrows localStorage)
+  // record: { videoId, channelId, history: [{ t, v, l, c }] }  (t=ms, v/l/c = views/likes/comments)
+  const SNAP_MAX_POINTS = 240;
+  const SnapDB = {
+    _db: null,
+    open(){
+      if(this._db) return this._db;
+      this._db = new Promise((resolve)=>{
+        if(!window.indexedDB){ resolve(null); return; }
+        try{
+          const req = indexedDB.open("ya_snapshots", 1);
+          req.onupgradeneeded = ()=>{ req.result.createObjectStore("videos", { keyPath:"videoId" }); };
+          req.onsuccess = ()=> resolve(req.result);
+          req.onerror = ()=> resolve(null);
+        }catch(_){ resolve(null); }
+      });
+      return this._db;
+    },
+    async getMany(ids){
+      const db = await this.open();
+      const out = {};
+      if(!db || !ids.length) return out;
+      return new Promise((resolve)=>{
+        const tx = db.transaction("videos", "readonly");
+        const store = tx.objectStore("videos");
+        for(const id of ids){
+          const req = store.get(id);
+          req.onsuccess = ()=>{ if(req.result) out[id] = req.result; };
+        }
+        tx.oncomplete = ()=> resolve(out);
+        tx.onerror = ()=> resolve(out);
+      });
+    },
+    async putMany(records){
+      const db = await this.open();
+      if(!db || !records.length) return;
+      return new Promise((resolve)=>{
+        const tx = db.transaction("videos", "readwrite");
+        const store = tx.objectStore("videos");
+        for(const rec of records) store.put(rec);
+        tx.oncomplete = ()=> resolve();
+        tx.onerror = ()=> resolve();
+      });
+    },
+    clear(){
+      try{ if(window.indexedDB) indexedDB.deleteDatabase("ya_snapshots"); }catch(_){}
+    }
+  };
+
   // ---------- State ----------
   const state = {
     theme: "dark",
@@ -296,22 +448,301 @@
     quotaLog: [],
     timerStart: null,
     timerHandle: null,
-    channels: {
-      A: null,
-      B: null
-    },
-    datasets: {
-      A: [],
-      B: []
-    },
-    categoryMaps: {
-      A: {},
-      B: {}
-    },
+    slots: ["A","B"],   // channel slot keys; A = my channel, the rest are benchmarks
+    channels: {},       // keyed by slot
+    rawDatasets: {},    // before the per-slot views prefilter
+    datasets: {},
+    categoryMaps: {},
     filteredRows: [],
+    commentsCache: {},
+    serverQuota: null,  // last action=quota ledger
+    bundles: {},        // keyed by slot: last complete bundle { cacheKey, t, data } (incremental base)
+    resume: {},         // keyed by slot: partial bundle + pendingVideoIds after a mid-load failure
+    llmRuns: [],        // saved /api/llm_analyze runs (newest first)
+    promptTemplates: [], // user prompt templates (builtins are generated)
+    promptSelection: {}, // mode → selected template id
+    llmAbort: null,     // AbortController of the run in flight
     activeTab: "data"
   };
 
+  // ---------- Channel slots ----------
+  const SLOT_KEYS = "ABCDEFGHIJKL".split("");
+
+  function slotLabel(key){
+    return key==="A" ? "채널 A (내 채널)" : "채널 "+key+" (타 채널/벤치)";
+  }
+
+  // slots that take part in tables/packs (single mode = A only)
+  function activeSlots(){
+    return state.mode==="single" ? ["A"] : state.slots.slice();
+  }
+
+  function renderSlotCard(key){
+    return `
+      <div id="slot${key}" class="panel rounded-2xl p-4" data-slot="${key}">
+        <div class="flex items-start justify-between gap-3">
+          <div>
+            <div class="text-sm font-semibold">${escapeHtml(slotLabel(key))}</div>
+            <div class="muted text-xs mt-1">채널(URL / @handle / UC...) · 재생목록(URL / PL...) · 영상 URL 여러 개(쉼표/줄바꿈) · 검색어(전체 채널, 100u/50개)</div>
+          </div>
+          <div class="flex items-center gap-2">
+            <span id="badge${key}" class="chip text-xs px-2 py-1 rounded-full">대기</span>
+            ${key==="A" ? "" : `<button id="btnRemove${key}" class="btn px-2 py-1 rounded-lg text-xs" title="슬롯 삭제">삭제</button>`}
+          </div>
+        </div>
+        <div class="flex gap-2 mt-3">
+          <select id="inputType${key}" class="input px-2 py-2 rounded-lg text-sm">
+            <option value="auto" selected>자동</option>
+            <option value="channel">채널</option>
+            <option value="playlist">재생목록</option>
+            <option value="videos">영상 목록</option>
+            <option value="search">검색어</option>
+          </select>
+          <select id="searchOrder${key}" class="input px-2 py-2 rounded-lg text-sm hidden" title="검색 정렬 (search.list 100u/50개)">
+            <option value="relevance" selected>관련도</option>
+            <option value="viewCount">조회수</option>
+            <option value="date">최신</option>
+            <option value="rating">평점</option>
+          </select>
+          <textarea id="input${key}" rows="1" class="input w-full px-3 py-2 rounded-lg text-sm resize-y" placeholder="URL / @handle / 채널ID(UC...) / 재생목록 / 영상 URL 목록"></textarea>
+          <button id="btnLoad${key}" class="btn-primary px-4 py-2 rounded-lg text-sm font-semibold">불러오기</button>
+        </div>
+        <div id="estimate${key}" class="muted text-xs mt-2"></div>
+
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-2 mt-3">
+          <div>
+            <div class="muted text-xs">최근 N개</div>
+            <select id="max${key}" class="input w-full px-3 py-2 rounded-lg text-sm mt-1">
+              <option value="">선택 안함(기본 50)</option>
+              <option value="ALL">전체(가능한 만큼·상한 500)</option>
+              <option value="CUSTOM">직접입력</option>
+              <option value="10">10</option>
+              <option value="25">25</option>
+              <option value="50" selected>50</option>
+              <option value="100">100</option>
+              <option value="200">200</option>
+              <option value="300">300</option>
+              <option value="500">500</option>
+      </select>
+            <div id="maxCustomWrap${key}" class="mt-2 hidden">
+              <input id="maxCustom${key}" type="number" min="1" max="500" step="1" class="input w-full px-3 py-2 rounded-lg text-sm" placeholder="1~500" />
+              <div class="muted text-xs mt-1">※ ‘전체’는 상한 500까지 수집합니다</div>
+            </div>
+
+          </div>
+          <div>
+            <div class="muted text-xs">기간(일)</div>
+            <select id="days${key}" class="input w-full px-3 py-2 rounded-lg text-sm mt-1">
+              <option value="" selected>선택 안함(채널 30일 · 재생목록 전체)</option>
+              <option value="0">전체(기간 제한 없음)</option>
+              <option value="CUSTOM">직접입력</option>
+              <option value="7">7</option>
+              <option value="30">30</option>
+              <option value="90">90</option>
+              <option value="365">365</option>
+              <option value="730">730</option>
+              <option value="1825">1825</option>
+              <option value="RANGE">기간 지정(시작~종료)</option>
+      </select>
+            <div id="daysCustomWrap${key}" class="mt-2 hidden">
+              <input id="daysCustom${key}" type="number" min="0" max="3650" step="1" class="input w-full px-3 py-2 rounded-lg text-sm" placeholder="0=전체, 또는 일수 입력" />
+              <div class="muted text-xs mt-1">0이면 기간 제한 없이 최신부터 상한까지 수집합니다</div>
+            </div>
+            <div id="rangeWrap${key}" class="mt-2 hidden">
+              <div class="flex gap-2 items-center">
+                <input id="from${key}" type="date" class="input w-full px-2 py-2 rounded-lg text-sm" title="시작일(포함, KST 00:00부터)"/>
+                <span class="muted text-xs">~</span>
+                <input id="to${key}" type="date" class="input w-full px-2 py-2 rounded-lg text-sm" title="종료일(포함, KST 23:59까지)"/>
+              </div>
+              <div class="flex gap-2 items-center mt-1">
+                <span class="muted text-xs whitespace-nowrap">페이지 예산</span>
+                <input id="pageBudget${key}" type="number" min="1" max="200" value="40" class="input w-20 px-2 py-1 rounded-lg text-sm" title="playlistItems 최대 호출 수 (1u/50개)"/>
+                <span class="muted text-xs">× 50개 탐색</span>
+              </div>
+            </div>
+
+          </div>
+          <div>
+            <div class="muted text-xs">길이 분류 기준</div>
+            <select id="shorts${key}" class="input w-full px-3 py-2 rounded-lg text-sm mt-1">
+              <option value="LE:60" selected>쇼츠 ≤ 60초</option>
+              <option value="LE:120">쇼츠 ≤ 120초</option>
+              <option value="LE:CUSTOM">직접입력(쇼츠 이하 ≤)</option>
+              <option value="GE:CUSTOM">직접입력(롱폼 이상 ≥)</option>
+              <option value="VERIFIED">검증된 쇼츠(서버 확인)</option>
+              <option value="OFF">전체(분류 끔)</option>
+            </select>
+            <div id="shortsCustomWrap${key}" class="mt-2 hidden">
+              <div class="flex gap-2 items-center">
+                <input id="shortsCustom${key}" type="number" min="0" step="1" class="input w-full px-3 py-2 rounded-lg text-sm" placeholder="초 입력 (예: 75)" />
+                <span id="shortsCustomSuffix${key}" class="muted text-xs whitespace-nowrap">초</span>
+              </div>
+              <div id="shortsHelp${key}" class="muted text-xs mt-1">직접 입력 모드입니다</div>
+            </div>
+          </div>
+          <div>
+            <div class="muted text-xs">지역/언어</div>
+            <select id="locale${key}" class="input w-full px-3 py-2 rounded-lg text-sm mt-1">
+              <option value="">선택 안함(기본 KR/ko)</option>
+              <option value="ALL">전체(지역/언어 제한 없음)</option>
+              <option value="KR|ko" selected>KR (ko)</option>
+              <option value="US|en">US (en)</option>
+              <option value="JP|ja">JP (ja)</option>
+              <option value="GB|en">GB (en)</option>
+      </select>
+          </div>
+        </div>
+
+
+        <div class="mt-3">
+          <div class="muted text-xs">조회수 프리필터(수집 후 적용)</div>
+          <div class="grid grid-cols-2 md:grid-cols-4 gap-2 mt-1 items-center">
+            <input id="preViewsMin${key}" type="number" min="0" step="1" class="input w-full px-3 py-2 rounded-lg text-sm" placeholder="최소 조회수(예: 100000)" />
+            <input id="preViewsMax${key}" type="number" min="0" step="1" class="input w-full px-3 py-2 rounded-lg text-sm" placeholder="최대 조회수(예: 1000000)" />
+            <div class="col-span-2 flex flex-wrap gap-2 items-center">
+              <button class="btn btn-sm preViewsQuick" data-ch="${key}" data-v="100000">10만+</button>
+              <button class="btn btn-sm preViewsQuick" data-ch="${key}" data-v="500000">50만+</button>
+              <button class="btn btn-sm preViewsQuick" data-ch="${key}" data-v="1000000">100만+</button>
+              <button id="btnPreViewsClear${key}" class="btn btn-sm">전체</button>
+            </div>
+          </div>
+          <div class="muted text-xs mt-1">빈칸이면 필터 없음(선택 안함)</div>
+        </div>
+
+      <div class="flex flex-col md:flex-row md:items-center gap-3 mt-3">
+          <label class="flex items-center gap-2 text-sm"><input id="cache${key}" type="checkbox" checked> 캐시 사용(localStorage)</label>
+          <label class="flex items-center gap-2 text-sm"><input id="fallback${key}" type="checkbox" checked> URL 변형 대응(search fallback 허용: 최대 100u/호출)</label>
+          <label class="flex items-center gap-2 text-sm"><input id="lite${key}" type="checkbox"> 쿼터 절약(상세조회 최소화: 통계/길이/카테고리 제외)</label>
+        </div>
+        <div class="flex flex-wrap items-center gap-2 mt-2">
+          <label class="flex items-center gap-2 text-sm" title="이전에 불러온 채널이면 새 업로드만 받고, 최근 N일 영상만 통계를 다시 조회해 합칩니다"><input id="incremental${key}" type="checkbox" checked> 증분 갱신(새 영상만)</label>
+          <span class="muted text-xs">통계 재조회</span>
+          <input id="refreshDays${key}" class="input w-20 px-2 py-1 rounded-lg text-sm" type="number" min="0" max="90" value="7"/>
+          <span class="muted text-xs">일 이내</span>
+        </div>
+
+        <div class="flex items-center justify-between gap-2 mt-2">
+          <div class="muted text-xs">캐시 만료(시간)</div>
+          <select id="ttl${key}" class="input px-3 py-2 rounded-lg text-sm">
+            <option>1</option><option>3</option><option selected>6</option><option>12</option><option>24</option>
+          </select>
+        </div>
+      </div>
+    `;
+  }
+
+  function wireSlot(key){
+    $("btnLoad"+key)?.addEventListener("click", ()=>apiBundle(key));
+    // cost preview follows every option that changes the request
+    ["input","inputType","max","maxCustom","days","daysCustom","from","to","pageBudget","lite","fallback","incremental","refreshDays"].forEach(p=>{
+      $(p+key)?.addEventListener("input", ()=> scheduleEstimate(key));
+      $(p+key)?.addEventListener("change", ()=> scheduleEstimate(key));
+    });
+    $("btnRemove"+key)?.addEventListener("click", ()=>removeSlot(key));
+    $("inputType"+key)?.addEventListener("change", ()=> updateInputTypeUI(key));
+    $("max"+key)?.addEventListener("change", ()=> updateMaxUI(key));
+    $("days"+key)?.addEventListener("change", ()=> updateDaysUI(key));
+
+    // reclassify when length rule changes (no refetch)
+    ["shorts"+key,"shortsCustom"+key].forEach(id=>{
+      const el = $(id);
+      if(el) el.addEventListener("change", ()=>{
+        updateShortsUI(key);
+        reclassifyChannel(key);
+        refreshTable();
+        refreshGpt();
+        const ds = state.datasets[key] || [];
+        if(getLengthRule(key).mode==="VERIFIED" && ds.length && !ds.some(r=>r.shorts)){
+          toast(key+": 쇼츠 검증은 다시 불러올 때 적용됩니다 (지금은 ≤ 60초 기준)");
+        }
+      });
+      if(el && el.tagName==="INPUT") el.addEventListener("input", ()=>{
+        reclassifyChannel(key);
+        refreshTable();
+        refreshGpt();
+      });
+    });
+
+    // 조회수 프리필터(수집 후 적용) — 변경 시 즉시 재계산
+    ["preViewsMin"+key,"preViewsMax"+key].forEach(id=>{
+      $(id)?.addEventListener("input", ()=>{
+        applyPreViewsFilter(key);
+        renderSummaries(); refreshTable(); refreshGpt();
+      });
+    });
+    $("slot"+key).querySelectorAll(".preViewsQuick").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        const minEl = $("preViewsMin"+key);
+        const maxEl = $("preViewsMax"+key);
+        if(minEl) minEl.value = btn.dataset.v || "";
+        if(maxEl) maxEl.value = "";
+        applyPreViewsFilter(key);
+        renderSummaries(); refreshTable(); refreshGpt();
+      });
+    });
+    $("btnPreViewsClear"+key)?.addEventListener("click", ()=>{
+      if($("preViewsMin"+key)) $("preViewsMin"+key).value = "";
+      if($("preViewsMax"+key)) $("preViewsMax"+key).value = "";
+      applyPreViewsFilter(key);
+      renderSummaries(); refreshTable(); refreshGpt();
+    });
+
+    updateShortsUI(key);
+    updateMaxUI(key);
+    updateDaysUI(key);
+    updateInputTypeUI(key);
+  }
+
+  function mountSlot(key){
+    $("slots").insertAdjacentHTML("beforeend", renderSlotCard(key));
+    wireSlot(key);
+  }
+
+  function addSlot(){
+    const key = SLOT_KEYS.find(k=>!state.slots.includes(k));
+    if(!key){ toast("채널은 최대 "+SLOT_KEYS.length+"개까지 추가할 수 있습니다", "err"); return; }
+    state.slots.push(key);
+    LS.set("ya_slots", state.slots);
+    mountSlot(key);
+    syncTableTarget();
+    renderSummaries();
+  }
+
+  function removeSlot(key){
+    if(key==="A") return;
+    if(state.channels[key] && !confirm("채널 "+key+" 슬롯과 불러온 데이터를 삭제할까요?")) return;
+    state.slots = state.slots.filter(k=>k!==key);
+    LS.set("ya_slots", state.slots);
+    delete state.channels[key];
+    delete state.rawDatasets[key];
+    delete state.datasets[key];
+    delete state.categoryMaps[key];
+    delete state.resume[key];
+    delete state.bundles[key];
+    $("slot"+key)?.remove();
+    syncTableTarget();
+    renderSummaries(); refreshTable(); refreshGpt();
+  }
+
+  function setSlotDisabled(key, disabled){
+    const card = $("slot"+key);
+    if(!card) return;
+    card.querySelectorAll("input,select,textarea,button").forEach(el=>{ el.disabled = disabled; });
+  }
+
+  // table target = channel filter (each slot + all combined)
+  function syncTableTarget(){
+    const sel = $("tableTarget");
+    const prev = sel.value;
+    const opts = activeSlots().map(k=>{
+      const ch = state.channels[k];
+      return '<option value="'+k+'">채널 '+k+(ch && ch.title ? " · "+escapeHtml(ch.title) : "")+'</option>';
+    });
+    opts.push('<option value="ALL">전체 채널 합치기</option>');
+    sel.innerHTML = opts.join("");
+    sel.value = (prev==="ALL" || activeSlots().includes(prev)) ? prev : "A";
+  }
+
   // ---------- UI: Progress + logs ----------
   function log(msg){
     const box = $("logBox");
@@ -371,6 +802,75 @@
       return '<div><span class="muted">['+t+']</span> +'+l.u+'u '+escapeHtml(l.label)+'</div>';
     }).join("");
   }
+
+  // Server ledger: shared by everyone using the deployment's keys (action=quota, no YouTube call)
+  async function refreshServerQuota(){
+    const box = $("serverQuota");
+    const base = getApiBase();
+    if(!box || (isFileMode() && !base)) return;
+    try{
+      const q = await fetchApiJson(normalizeBase(base) + "/api/youtube_analyzer?action=quota");
+      state.serverQuota = q;
+      box.innerHTML = renderServerQuota(q);
+    }catch(err){
+      box.textContent = "서버 장부 조회 실패: " + String(err && err.message || err);
+    }
+  }
+  function renderServerQuota(q){
+    const reset = new Date(q.resetsAt).toLocaleString("ko-KR", { timeZone:"Asia/Seoul", hour12:false, month:"numeric", day:"numeric", hour:"2-digit", minute:"2-digit" });
+    const rows = (q.keys||[]).map(k=>{
+      const tag = k.exhausted ? ' <span class="text-red-300">소진</span>' : (k.active ? ' <span class="muted">사용 중</span>' : "");
+      return '<div>#'+k.slot+' '+escapeHtml(k.key)+' · '+formatNumber(k.unitsToday)+'u 사용 · 남음 '+formatNumber(k.remainingEstimate)+'u'+tag+'</div>';
+    }).join("");
+    return '<div class="font-semibold">오늘 '+formatNumber(q.usedToday)+'u 사용 · 남음 약 '+formatNumber(q.remainingEstimate)+'u</div>'
+      + rows
+      + '<div class="muted mt-1">초기화 '+escapeHtml(reset)+' (KST) · 저장소 '+escapeHtml(q.store)+(q.store==="memory" ? " (인스턴스별 추정)" : "")+'</div>';
+  }
+
+  // Predicted cost for a slot (action=estimate, no YouTube call), debounced while typing
+  const estimateTimers = {};
+  function scheduleEstimate(key){
+    clearTimeout(estimateTimers[key]);
+    estimateTimers[key] = setTimeout(()=> estimateSlot(key), 600);
+  }
+  async function estimateSlot(key){
+    const box = $("estimate"+key);
+    if(!box) return;
+    const input = ($("input"+key)?.value || "").trim();
+    const base = getApiBase();
+    if(!input || (isFileMode() && !base)){ box.textContent = ""; return; }
+    const url = normalizeBase(base) + "/api/youtube_analyzer?action=estimate"
+      + "&input=" + encodeURIComponent(input)
+      + "&inputType=" + encodeURIComponent($("inputType"+key)?.value || "auto")
+      + "&max=" + encodeURIComponent(String(resolveMax(key)))
+      + daysParam(key)
+      + rangeParams(resolveRange(key))
+      + "&allowSearchFallback=" + ($("fallback"+key)?.checked ? "1" : "0")
+      + "&lite=" + ($("lite"+key)?.checked ? "1" : "0")
+      + (estimateIncremental(key) ? "&incremental=1&refreshDays=" + encodeURIComponent(String(parseInt($("refreshDays"+key)?.value, 10) || 0)) : "");
+    try{
+      const est = await fetchApiJson(url);
+      const u = est.units || {};
+      const range = u.min === u.max ? formatNumber(u.max)+"u" : formatNumber(u.min)+"~"+formatNumber(u.max)+"u";
+      const left = est.ledger ? est.ledger.remainingEstimate : null;
+      const over = left !== null && u.max > left;
+      box.title = (est.breakdown||[]).map(l=> l.endpoint+" × "+(l.calls.min===l.calls.max ? l.calls.max : l.calls.min+"~"+l.calls.max)+" = "+l.units.max+"u"+(l.note ? " ("+l.note+")" : "")).join("\n");
+      box.innerHTML = (est.incremental ? '증분 ' : '') + '예상 소모 <span class="font-semibold'+(over ? ' text-red-300' : '')+'">'+range+'</span>'
+        + (left !== null ? ' · 서버 남은 쿼터 약 '+formatNumber(left)+'u' : '')
+        + (over ? ' · <span class="text-red-300">남은 쿼터보다 클 수 있습니다</span>' : '');
+      if(est.ledger){ state.serverQuota = est.ledger; $("serverQuota").innerHTML = renderServerQuota(est.ledger); }
+    }catch(err){
+      box.textContent = "예상 소모 계산 실패: " + String(err && err.message || err);
+    }
+  }
+
+  // Same conditions as apiBundle's incremental base (loaded channel bundle, no lite/search/date window)
+  function estimateIncremental(key){
+    const mem = state.bundles[key];
+    return !!($("incremental"+key)?.checked && !$("lite"+key)?.checked && ($("inputType"+key)?.value || "auto") !== "search"
+      && !resolveRange(key) && mem && mem.data && mem.data.source && mem.data.source.type === "channel");
+  }
+
   // ---------- API base ----------
   function isFileMode(){
     // Some browsers report file origins as "null", others as "file://"
@@ -407,15 +907,100 @@
   }
 
   // ---------- Fetch ----------
+  // error.code from /api/youtube_analyzer → what the user can actually do about it
+  const ERROR_HINTS = {
+    quota_exceeded: "오늘 YouTube API 쿼터를 모두 사용했습니다. 태평양 시간 자정(한국 16~17시)에 초기화됩니다.",
+    rate_limited: "요청이 너무 잦습니다. 잠시 후 다시 시도해 주세요.",
+    key_missing: "서버에 YOUTUBE_API_KEY가 없습니다. Vercel 환경변수를 확인하세요.",
+    key_invalid: "서버의 YOUTUBE_API_KEY가 올바르지 않습니다. 키를 다시 확인하세요.",
+    key_restricted: "API 키에 YouTube Data API v3 사용 설정/제한(IP·리퍼러)을 확인하세요.",
+    channel_not_found: "채널을 찾지 못했습니다. @핸들, 채널 URL 또는 UC… ID로 입력해 보세요.",
+    playlist_not_found: "재생목록을 찾지 못했습니다. 비공개 재생목록은 불러올 수 없습니다.",
+    video_not_found: "영상을 찾지 못했습니다 (비공개/삭제).",
+    upstream_timeout: "YouTube 응답이 늦습니다. 다시 시도하거나 수집 개수를 줄여 보세요.",
+    upstream_error: "YouTube API 일시 오류입니다. 잠시 후 다시 시도해 주세요.",
+    network_error: "서버에서 YouTube API에 연결하지 못했습니다.",
+    llm_not_configured: "서버에 LLM_API_KEY/LLM_API_URL이 없습니다. Vercel 환경변수를 확인하세요.",
+    llm_auth: "LLM 서버가 키를 거부했습니다. LLM_API_KEY를 확인하세요.",
+    llm_timeout: "LLM 서버 응답이 늦습니다. 잠시 후 다시 시도하세요.",
+    llm_network_error: "서버에서 LLM_API_URL에 연결하지 못했습니다.",
+    llm_upstream_error: "LLM 서버 오류입니다. 잠시 후 다시 시도하세요.",
+    input_too_large: "분석팩이 너무 큽니다. 필터로 영상 수를 줄인 뒤 다시 실행하세요."
+  };
+
+  function apiError(data, status){
+    const e = (data && data.error) || {};
+    const msg = e.message || ("HTTP "+status);
+    const hint = ERROR_HINTS[e.code];
+    const err = new Error(hint ? hint + " (" + msg + ")" : msg);
+    err.code = e.code || "";
+    err.retryable = !!e.retryable;
+    return err;
+  }
+
+  async function fetchApiJson(url){
+    const resp = await fetch(url, { method:"GET" });
+    const data = await resp.json().catch(()=>({}));
+    if(!resp.ok) throw apiError(data, resp.status);
+    return data;
+  }
+
+  // Append the videos fetched by a resume call to the partial bundle it continues
+  // (a resumed incremental refresh can re-send videos whose old copies were carried over)
+  function mergeResumed(prev, next){
+    const fresh = new Set((next.videos||[]).map(v=>v.videoId));
+    return Object.assign({}, prev, {
+      videos: (prev.videos || []).filter(v=> !fresh.has(v.videoId)).concat(next.videos || []),
+      categoryMap: Object.assign({}, prev.categoryMap || {}, next.categoryMap || {}),
+      partial: next.partial || null,
+      quota: next.quota
+    });
+  }
+
+  // Previous complete channel bundle for the same request (memory first, then even an expired cache entry)
+  function incrementalBase(channelKey, cacheKey){
+    const mem = state.bundles[channelKey];
+    const prev = (mem && mem.cacheKey === cacheKey) ? mem : LS.get(cacheKey, null);
+    if(!prev || !prev.data || !prev.t || !(prev.data.videos||[]).length) return null;
+    if(!prev.data.source || prev.data.source.type !== "channel") return null;
+    return { t: prev.t, data: prev.data };
+  }
+
+  // Fresh videos (new uploads + recent-window stats) replace their old copies; the rest are carried
+  // over with statsAt = when their numbers were fetched, so growth/snapshots don't treat them as new.
+  // A partial delta keeps `partial`, so apiBundle neither caches it nor uses it as the next base
+  // (its newest publishedAt would make the skipped uploads look already known).
+  function mergeIncremental(base, delta, max, days){
+    const fresh = new Set((delta.videos||[]).map(v=>v.videoId));
+    const cutoff = days > 0 ? Date.now() - days*86400000 : -Infinity;
+    const carried = (base.data.videos||[])
+      .filter(v=> !fresh.has(v.videoId) && !(Date.parse(v.publishedAt) < cutoff))
+      .map(v=> v.statsAt ? v : Object.assign({}, v, { statsAt: base.t }));
+    const videos = (delta.videos||[]).concat(carried)
+      .sort((a,b)=> String(b.publishedAt||"").localeCompare(String(a.publishedAt||"")))
+      .slice(0, max);
+    return Object.assign({}, base.data, {
+      channel: delta.channel || base.data.channel,
+      videos,
+      categoryMap: Object.assign({}, base.data.categoryMap || {}, delta.categoryMap || {}),
+      incremental: delta.incremental,
+      partial: delta.partial || null,
+      quota: delta.quota
+    });
+  }
+
   async function apiBundle(channelKey){
     const isSingle = state.mode === "single";
-    if(isSingle && channelKey === "B") return;
+    if(isSingle && channelKey !== "A") return;
 
-    const input = $(channelKey==="A" ? "inputA" : "inputB").value.trim();
+    const input = $("input"+channelKey).value.trim();
     if(!input){
       toast("채널 입력을 해주세요 ("+channelKey+")", "err");
       return;
     }
+    const inputType = ($("inputType"+channelKey)?.value || "auto");
+    const isSearch = inputType === "search";
+    const searchOrder = isSearch ? ($("searchOrder"+channelKey)?.value || "relevance") : "";
 
     const base = getApiBase();
     if(isFileMode() && !base){
@@ -426,23 +1011,36 @@
 
     const max = resolveMax(channelKey);
     const days = resolveDays(channelKey);
+    const range = resolveRange(channelKey);
+    if(($("days"+channelKey)?.value || "")==="RANGE" && !range){
+      toast("기간 지정: 시작일 또는 종료일을 입력하세요 ("+channelKey+")", "err");
+      return;
+    }
     const rule = getLengthRule(channelKey);
     const { region, lang } = resolveLocale(channelKey);
-    const useCache = $(channelKey==="A" ? "cacheA" : "cacheB").checked;
-    const allowFallback = $(channelKey==="A" ? "fallbackA" : "fallbackB").checked;
-    const lite = $(channelKey==="A" ? "liteA" : "liteB").checked;
-    const ttlHours = parseInt($(channelKey==="A" ? "ttlA" : "ttlB").value, 10);
+    const useCache = $("cache"+channelKey).checked;
+    const allowFallback = $("fallback"+channelKey).checked;
+    const lite = $("lite"+channelKey).checked;
+    const ttlHours = parseInt($("ttl"+channelKey).value, 10);
 
     // Badge
-    $(channelKey==="A" ? "badgeA" : "badgeB").textContent = "불러오는 중";
-
-    const cacheKey = "ya_cache_bundle_"+channelKey+"_"+hashKey(input+"|"+max+"|"+days+"|"+region+"|"+lite);
-    if(useCache){
+    $("badge"+channelKey).textContent = "불러오는 중";
+
+    const verifyShorts = rule.mode === "VERIFIED";
+    const cacheKey = "ya_cache_bundle_"+channelKey+"_"+hashKey(input+"|"+inputType+"|"+searchOrder+"|"+max+"|"+days+(daysParam(channelKey) ? "" : "d")+"|"+region+"|"+lite+(verifyShorts ? "|vs" : "")+(range ? "|"+range.from+"~"+range.to+"|"+range.pageBudget : ""));
+    const resume = state.resume[channelKey];
+    const resuming = !!(resume && resume.cacheKey === cacheKey && resume.pendingVideoIds.length);
+    if(!resuming) delete state.resume[channelKey];
+    // a fixed date window doesn't grow with new uploads, so it always reloads in full
+    const incBase = (!resuming && !isSearch && !lite && !range && $("incremental"+channelKey)?.checked) ? incrementalBase(channelKey, cacheKey) : null;
+    if(useCache && !resuming){
       const cached = LS.get(cacheKey, null);
       if(cached && cached.exp && Date.now() < cached.exp && cached.data){
         log(channelKey+": 캐시 사용");
         applyBundle(channelKey, cached.data, rule);
-        $(channelKey==="A" ? "badgeA" : "badgeB").textContent = "캐시";
+        state.bundles[channelKey] = { cacheKey, t: cached.t || 0, data: cached.data };
+        await attachGrowth(channelKey, cached.t || 0);
+        $("badge"+channelKey).textContent = "캐시";
         refreshTable();
         refreshGpt();
         return;
@@ -451,52 +1049,97 @@
 
     startTimer();
     setStage(channelKey+": 채널조회", 5);
-    log(channelKey+": API 호출 시작");
-
-    const url = normalizeBase(base) + "/api/youtube_analyzer"
-      + "?action=bundle"
+    log(channelKey+": "+(resuming ? "이어받기 시작 (남은 "+resume.pendingVideoIds.length+"개)" : incBase ? "증분 갱신 시작 (기존 "+incBase.data.videos.length+"개)" : "API 호출 시작"));
+
+    // resume: only the video details that failed last time, merged into the partial bundle
+    // search: cross-channel videos for a phrase (loaded into the slot like a channel bundle)
+    const url = resuming ? normalizeBase(base) + "/api/youtube_analyzer"
+      + "?action=bundle&inputType=videos"
+      + "&input=" + encodeURIComponent(resume.pendingVideoIds.join(","))
+      + "&max=" + encodeURIComponent(String(resume.pendingVideoIds.length))
+      + "&region=" + encodeURIComponent(region)
+      + "&lang=" + encodeURIComponent(lang)
+      + "&lite=" + encodeURIComponent(lite ? "1" : "0")
+      + (verifyShorts ? "&verifyShorts=1" : "")
+      : normalizeBase(base) + "/api/youtube_analyzer"
+      + "?action=" + (isSearch ? "search" : "bundle")
       + "&input=" + encodeURIComponent(input)
+      + (isSearch ? "&order=" + encodeURIComponent(searchOrder) : "&inputType=" + encodeURIComponent(inputType))
       + "&max=" + encodeURIComponent(String(max))
-      + "&days=" + encodeURIComponent(String(days))
+      + daysParam(channelKey)
       + "&region=" + encodeURIComponent(region)
       + "&lang=" + encodeURIComponent(lang)
       + "&allowSearchFallback=" + encodeURIComponent(allowFallback ? "1" : "0")
-      + "&lite=" + encodeURIComponent(lite ? "1" : "0");
+      + "&lite=" + encodeURIComponent(lite ? "1" : "0")
+      + (verifyShorts ? "&verifyShorts=1" : "")
+      + rangeParams(range)
+      + (incBase ? incrementalParams(channelKey, incBase) : "");
 
     try{
-      const resp = await fetch(url, { method:"GET" });
-      const data = await resp.json().catch(()=>({}));
-      if(!resp.ok){
-        const msg = (data && data.error && data.error.message) ? data.error.message : ("HTTP "+resp.status);
-        throw new Error(msg);
+      const fetched = await fetchApiJson(url);
+      const units = fetched && fetched.quota && fetched.quota.estimatedUnitsThisCall ? fetched.quota.estimatedUnitsThisCall : 0;
+      quotaAdd(units, channelKey+(resuming ? " resume" : " bundle"));
+      const data = resuming ? mergeResumed(resume.data, fetched)
+        : (incBase && fetched.incremental) ? mergeIncremental(incBase, fetched, max, days)
+        : fetched;
+      const fetchedAt = Date.now();
+      if(data.incremental){
+        log(channelKey+": 증분 - 새 영상 "+data.incremental.newIds.length+"개, 통계 갱신 "+data.incremental.refreshedIds.length+"개"
+          +(data.incremental.truncated ? " (최대 개수 도달, 나머지는 이전 통계 유지)" : ""));
       }
-      const units = data && data.quota && data.quota.estimatedUnitsThisCall ? data.quota.estimatedUnitsThisCall : 0;
-      quotaAdd(units, channelKey+" bundle");
-      if(useCache){
-        LS.set(cacheKey, { exp: Date.now() + ttlHours*3600*1000, data });
+      if(data.partial){
+        // keep it out of the cache; the next 불러오기 continues from pendingVideoIds
+        state.resume[channelKey] = { cacheKey, pendingVideoIds: data.partial.pendingVideoIds || [], data };
+      }else{
+        delete state.resume[channelKey];
+        state.bundles[channelKey] = { cacheKey, t: fetchedAt, data };
+        if(useCache) LS.set(cacheKey, { exp: fetchedAt + ttlHours*3600*1000, t: fetchedAt, data });
       }
       applyBundle(channelKey, data, rule);
-      $(channelKey==="A" ? "badgeA" : "badgeB").textContent = "완료";
-      log(channelKey+": 완료 ("+state.datasets[channelKey].length+"개)");
+      if(!lite) await recordSnapshots(channelKey, fetchedAt);
+      await attachGrowth(channelKey, fetchedAt);
+      const missing = (data.source && data.source.missingIds) || [];
+      if(missing.length) log(channelKey+": 찾지 못한 영상 "+missing.length+"개 (비공개/삭제) - "+missing.slice(0,10).join(", "));
       setStage("화면 렌더", 100);
       stopTimer();
       refreshTable();
       refreshGpt();
-      toast(channelKey+" 채널 불러오기 완료");
+      refreshServerQuota();
+      if(data.partial){
+        const pending = state.resume[channelKey].pendingVideoIds.length;
+        const hint = ERROR_HINTS[data.partial.error && data.partial.error.code] || (data.partial.error && data.partial.error.message) || "";
+        $("badge"+channelKey).textContent = "일부 완료";
+        log(channelKey+": 일부 완료 ("+state.datasets[channelKey].length+"개, 남은 "+pending+"개) - "+hint);
+        toast(channelKey+": "+state.datasets[channelKey].length+"개만 불러왔습니다. "+hint+" ‘불러오기’를 다시 누르면 남은 "+pending+"개를 이어받습니다", "err");
+      }else{
+        $("badge"+channelKey).textContent = "완료";
+        log(channelKey+": 완료 ("+state.datasets[channelKey].length+"개)");
+        toast(channelKey+" 채널 불러오기 완료");
+      }
     }catch(err){
       stopTimer();
-      $(channelKey==="A" ? "badgeA" : "badgeB").textContent = "오류";
+      $("badge"+channelKey).textContent = resuming ? "일부 완료" : "오류";
       setStage("오류", 0);
-      log(channelKey+": 오류 - "+String(err && err.message || err) + " | URL: " + url);
+      log(channelKey+": 오류"+(err && err.code ? " ["+err.code+"]" : "")+" - "+String(err && err.message || err) + " | URL: " + url);
       (String(err && err.message || err) === "Failed to fetch"
         ? toast("Failed to fetch — 상단 ‘연결 테스트’로 /api/youtube_analyzer 배포/도메인 상태부터 확인해 주세요", "err")
         : toast(String(err && err.message || err), "err"));
     }
   }
 
+  // newest known publishedAt + the newest known IDs (same-second uploads) + stats window
+  function incrementalParams(channelKey, base){
+    const vids = base.data.videos.slice().sort((a,b)=> String(b.publishedAt||"").localeCompare(String(a.publishedAt||"")));
+    const refreshDays = Math.max(0, Math.min(90, parseInt($("refreshDays"+channelKey)?.value, 10) || 0));
+    return "&incremental=1"
+      + "&since=" + encodeURIComponent(vids[0].publishedAt || "")
+      + "&known=" + encodeURIComponent(vids.slice(0, 50).map(v=>v.videoId).join(","))
+      + "&refreshDays=" + encodeURIComponent(String(refreshDays));
+  }
+
   function applyBundle(channelKey, bundle, rule){
-    // channel
-    state.channels[channelKey] = bundle.channel || null;
+    // channel (source = channel | playlist | videos, shown in the summary)
+    state.channels[channelKey] = bundle.channel ? Object.assign({}, bundle.channel, { source: bundle.source || null, members: bundle.channels || null }) : null;
     state.categoryMaps[channelKey] = bundle.categoryMap || {};
     const vids = (bundle.videos || []).map(v=>{
       const d = parseDurationISO(v.duration || v.contentDetails_duration || "");
@@ -504,16 +1147,14 @@
       const views = Number(v.viewCount || 0);
       const vpd = days ? views / days : 0;
       const tags = extractHashtags(v.title, v.description);
-      let kind = "";
-      if(d.seconds != null && rule && rule.mode !== "OFF"){
-        if(rule.mode === "LE") kind = (d.seconds <= rule.seconds) ? "쇼츠" : "롱폼";
-        else kind = (d.seconds >= rule.seconds) ? "롱폼" : "쇼츠";
-      }
-      const isShort = (kind==="") ? null : (kind==="쇼츠");
-      return {
+      const kind = classifyType(d.seconds, v.shorts, rule);
+      const likes = (v.likeCount===null || v.likeCount===undefined) ? null : Number(v.likeCount);
+      const comments = (v.commentCount===null || v.commentCount===undefined) ? null : Number(v.commentCount);
+      return Object.assign({
         channelKey,
-        channelId: bundle.channel ? bundle.channel.channelId : "",
-        channelTitle: bundle.channel ? bundle.channel.title : "",
+        // playlist/video-list bundles can mix channels: prefer the per-video owner
+        channelId: v.channelId || (bundle.channel ? bundle.channel.channelId : ""),
+        channelTitle: v.channelTitle || (bundle.channel ? bundle.channel.title : ""),
         videoId: v.videoId,
         url: v.url || ("https://www.youtube.com/watch?v="+v.videoId),
         title: v.title || "",
@@ -527,10 +1168,21 @@
         type: kind,
         viewCount: views,
         viewsPerDay: Math.round(vpd*10)/10,
-        likeCount: (v.likeCount===null || v.likeCount===undefined) ? null : Number(v.likeCount),
-        commentCount: (v.commentCount===null || v.commentCount===undefined) ? null : Number(v.commentCount),
-        hashtags: tags
-      };
+        likeCount: likes,
+        commentCount: comments,
+        hashtags: tags,
+        tags: v.tags || [],
+        audioLang: v.defaultAudioLanguage || "",
+        hasCaptions: v.hasCaptions ?? null,
+        definition: v.definition || "",
+        licensedContent: v.licensedContent ?? null,
+        topics: v.topicCategories || [],
+        madeForKids: v.madeForKids ?? null,
+        liveStatus: v.liveStatus || "",
+        liveStartedAt: v.liveStartedAt || "",
+        shorts: v.shorts || null,     // { isShort, confidence, source } when verifyShorts was on
+        statsAt: v.statsAt || null   // set when carried over by an incremental refresh
+      }, engagementOf(views, likes, comments));
     });
     state.rawDatasets[channelKey] = vids;
     applyPreViewsFilter(channelKey);
@@ -540,14 +1192,123 @@
     renderSummaries();
   }
 
+  // ---------- Snapshot history / growth ----------
+  async function recordSnapshots(channelKey, t){
+    const rows = state.rawDatasets[channelKey] || [];
+    if(!rows.length) return;
+    // carried-over rows were already recorded when their numbers were fetched
+    const fresh = rows.filter(r=>!r.statsAt);
+    if(!fresh.length) return;
+    const existing = await SnapDB.getMany(fresh.map(r=>r.videoId));
+    const records = fresh.map(r=>{
+      const rec = existing[r.videoId] || { videoId: r.videoId, channelId: r.channelId, history: [] };
+      const last = rec.history[rec.history.length-1];
+      if(!last || last.t !== t){
+        rec.history.push({ t, v: r.viewCount, l: r.likeCount, c: r.commentCount });
+        if(rec.history.length > SNAP_MAX_POINTS) rec.history = rec.history.slice(-SNAP_MAX_POINTS);
+      }
+      return rec;
+    });
+    await SnapDB.putMany(records);
+  }
+
+  // growth = current numbers vs the latest snapshot taken before this bundle (t)
+  async function attachGrowth(channelKey, t){
+    const rows = state.rawDatasets[channelKey] || [];
+    if(!rows.length) return;
+    const existing = await SnapDB.getMany(rows.map(r=>r.videoId));
+    for(const r of rows){
+      const hist = (existing[r.videoId] && existing[r.videoId].history) || [];
+      const at = r.statsAt || t;
+      let prev = null;
+      for(const p of hist){ if(p.t < at - 60000) prev = p; }
+      r.snapshots = hist;
+      if(prev && r.viewCount!=null && prev.v!=null){
+        const hours = Math.max(1/60, (at - prev.t)/3600000);
+        r.growthViews = r.viewCount - prev.v;
+        r.growthPerHour = Math.round(r.growthViews/hours*10)/10;
+        r.growthSince = new Date(prev.t).toISOString();
+      }else{
+        r.growthViews = null;
+        r.growthPerHour = null;
+        r.growthSince = "";
+      }
+    }
+  }
+
+  function sparklineSvg(values, w, h){
+    const vals = values.filter(v=>v!=null && isFinite(v));
+    if(vals.length < 2) return "";
+    const min = Math.min(...vals), max = Math.max(...vals);
+    const span = (max - min) || 1;
+    const pts = vals.map((v,i)=>{
+      const x = (i/(vals.length-1))*(w-4)+2;
+      const y = h-2 - ((v-min)/span)*(h-4);
+      return x.toFixed(1)+","+y.toFixed(1);
+    }).join(" ");
+    return '<svg width="'+w+'" height="'+h+'" viewBox="0 0 '+w+' '+h+'"><polyline fill="none" stroke="rgb(var(--accent))" stroke-width="2" points="'+pts+'"/></svg>';
+  }
+
   function renderSummaries(){
-    $("summaryA").innerHTML = renderChannelSummary(state.channels.A, "A");
-    $("summaryB").innerHTML = renderChannelSummary(state.channels.B, "B");
+    $("summaryGrid").innerHTML = state.slots.map(k=>`
+      <div class="panel2 rounded-2xl p-4">
+        <div class="text-sm font-semibold">채널 ${k} 요약</div>
+        <div class="muted text-sm mt-2">${renderChannelSummary(state.channels[k], k)}</div>
+      </div>
+    `).join("");
+    renderCompareTable();
+    syncTableTarget();
+  }
+
+  function channelStats(key){
+    const ch = state.channels[key] || null;
+    const rows = state.datasets[key] || [];
+    const views = rows.map(r=>Number(r.viewCount||0));
+    const times = rows.map(r=>toDate(r.publishedAt)).filter(Boolean).map(d=>d.getTime());
+    const spanWeeks = times.length>1 ? Math.max(1, (Math.max(...times)-Math.min(...times))/(7*86400000)) : null;
+    const total = views.reduce((a,b)=>a+b, 0);
+    return {
+      channelKey: key,
+      title: ch ? ch.title : "",
+      subscriberCount: ch ? ch.subscriberCount : null,
+      videos: rows.length,
+      shorts: rows.filter(r=>r.type==="쇼츠").length,
+      long: rows.filter(r=>r.type==="롱폼").length,
+      uploadsPerWeek: spanWeeks ? Math.round(rows.length/spanWeeks*10)/10 : null,
+      totalViews: total,
+      avgViews: rows.length ? Math.round(total/rows.length) : null,
+      medianViews: median(views),
+      medianViewsPerDay: median(rows.map(r=>Number(r.viewsPerDay||0))),
+      medianLikeRate: median(rows.map(r=>r.likeRate)),
+      medianCommentsPer1k: median(rows.map(r=>r.commentsPer1k)),
+      medianEngagementScore: median(rows.map(r=>r.engagementScore))
+    };
+  }
+
+  function renderCompareTable(){
+    const stats = activeSlots().filter(k=>state.channels[k]).map(channelStats);
+    if(!stats.length){
+      $("compareBody").innerHTML = '<tr><td class="py-3 px-2 muted" colspan="8">불러온 채널이 없습니다.</td></tr>';
+      return;
+    }
+    const num = (x)=> (x===null || x===undefined) ? "" : formatNumber(Math.round(x*10)/10);
+    $("compareBody").innerHTML = stats.map(st=>`
+      <tr class="border-t border-white/5">
+        <td class="py-2 px-2"><span class="pill">${st.channelKey}</span> ${escapeHtml(st.title)}</td>
+        <td class="py-2 px-2 text-right">${st.subscriberCount===null ? "비공개" : num(st.subscriberCount)}</td>
+        <td class="py-2 px-2 text-right">${num(st.videos)}</td>
+        <td class="py-2 px-2 text-right">${num(st.shorts)} / ${num(st.long)}</td>
+        <td class="py-2 px-2 text-right">${num(st.uploadsPerWeek)}</td>
+        <td class="py-2 px-2 text-right">${num(st.totalViews)}</td>
+        <td class="py-2 px-2 text-right">${num(st.medianViews)}</td>
+        <td class="py-2 px-2 text-right">${num(st.medianViewsPerDay)}</td>
+      </tr>
+    `).join("");
   }
 
   function renderChannelSummary(ch, key){
     const isSingle = state.mode==="single";
-    if(isSingle && key==="B") return '<span class="muted">단일 모드</span>';
+    if(isSingle && key!=="A") return '<span class="muted">단일 모드</span>';
     if(!ch) return '<span class="muted">미로드</span>';
     const subs = (ch.subscriberCount===null || ch.subscriberCount===undefined) ? "" : formatNumber(ch.subscriberCount);
     const views = formatNumber(ch.viewCount);
@@ -555,16 +1316,38 @@
     const handle = ch.handle || ch.customUrl || "";
     const pub = ch.publishedAt ? ch.publishedAt.slice(0,10) : "";
     const link = ch.url || "";
+    const src = ch.source || {};
+    let srcLine = "";
+    if(src.type==="playlist" && src.playlist){
+      srcLine = '<div class="muted text-xs">재생목록: <a class="link" href="'+escapeHtml(src.playlist.url)+'" target="_blank" rel="noreferrer">'+escapeHtml(src.playlist.title)+'</a>'
+        + (src.playlist.itemCount!=null ? ' ('+formatNumber(src.playlist.itemCount)+'개)' : '') + '</div>';
+    }else if(src.type==="search"){
+      const top = (ch.members||[]).slice(0,3).map(m=>escapeHtml(m.title)+" "+((m.aggregate&&m.aggregate.videos)||0)+"개").join(", ");
+      srcLine = '<div class="muted text-xs">검색어 “'+escapeHtml(src.q||"")+'” · 정렬 '+escapeHtml(src.order||"")
+        + (src.totalResults!=null ? ' · 결과 약 '+formatNumber(src.totalResults)+'개' : '') + '</div>'
+        + (top ? '<div class="muted text-xs">상위 채널: '+top+'</div>' : '');
+    }else if(src.type==="videos"){
+      srcLine = '<div class="muted text-xs">영상 목록: 요청 '+formatNumber(src.requested||0)+'개'
+        + ((src.missingIds||[]).length ? ' · 찾지 못함 '+src.missingIds.length+'개' : '') + '</div>';
+    }
+    if(src.window){
+      const w = src.window;
+      srcLine += '<div class="muted text-xs">기간 '+escapeHtml(w.from.slice(0,10))+' ~ '+escapeHtml(w.to.slice(0,10))
+        + ' · '+formatNumber(w.matched)+'개 (탐색 '+formatNumber(w.scanned)+'개, 페이지 '+w.pages+'/'+w.pageBudget+')'
+        + (w.covered ? '' : w.truncated ? ' · <span class="text-red-300">수집 상한 도달</span>' : ' · <span class="text-red-300">페이지 예산 소진: 시작일까지 못 감</span>')
+        + '</div>';
+    }
     return `
       <div class="flex flex-col gap-1">
         <div class="font-semibold">${escapeHtml(ch.title||"")}</div>
-        <div class="muted text-xs">${escapeHtml(handle)} · 개설 ${escapeHtml(pub)}</div>
+        <div class="muted text-xs">${escapeHtml(handle)}${pub ? " · 개설 "+escapeHtml(pub) : ""}</div>
+        ${srcLine}
         <div class="flex flex-wrap gap-2 mt-1">
           <span class="pill">구독자 ${subs ? subs : "비공개/불가"}</span>
           <span class="pill">조회수 ${views}</span>
           <span class="pill">영상 ${vcnt}</span>
         </div>
-        <div class="muted text-xs mt-1"><a class="link" href="${escapeHtml(link)}" target="_blank" rel="noreferrer">채널 열기</a></div>
+        ${link ? `<div class="muted text-xs mt-1"><a class="link" href="${escapeHtml(link)}" target="_blank" rel="noreferrer">채널 열기</a></div>` : ""}
       </div>
     `;
   }
@@ -579,19 +1362,114 @@
     return (h>>>0).toString(16);
   }
 
+  // ---------- Outliers (per-channel baseline) ----------
+  // baseline = median views of the channel's videos of the same type and age bucket;
+  // small groups fall back to type only, then the whole channel
+  const AGE_BUCKETS = [
+    { maxDays: 7, label: "7일 이내" },
+    { maxDays: 30, label: "30일 이내" },
+    { maxDays: 90, label: "90일 이내" },
+    { maxDays: 365, label: "1년 이내" },
+    { maxDays: Infinity, label: "1년 초과" }
+  ];
+  const BASELINE_MIN_GROUP = 5;
+
+  function ageBucket(iso){
+    const d = daysSince(iso);
+    if(d===null) return "";
+    return AGE_BUCKETS.find(b=>d<=b.maxDays).label;
+  }
+
+  function percentileRank(sorted, v){
+    if(!sorted.length) return null;
+    let below = 0, equal = 0;
+    for(const x of sorted){
+      if(x<v) below++;
+      else if(x===v) equal++;
+    }
+    return Math.round((below + equal/2) / sorted.length * 100);
+  }
+
+  // baseline over everything collected (the views prefilter would skew the median)
+  function attachOutliers(channelKey){
+    const rows = state.rawDatasets[channelKey] || state.datasets[channelKey] || [];
+    const groups = {};
+    const add = (k, r)=> (groups[k] || (groups[k] = [])).push(Number(r.viewCount||0));
+    for(const r of rows){
+      r.ageBucket = ageBucket(r.publishedAt);
+      add("T|"+r.type+"|"+r.ageBucket, r);
+      add("T|"+r.type, r);
+      add("C", r);
+    }
+    for(const k of Object.keys(groups)) groups[k].sort((a,b)=>a-b);
+    for(const r of rows){
+      const scopes = [
+        ["type_age", "T|"+r.type+"|"+r.ageBucket, [r.type, r.ageBucket].filter(Boolean).join(" · ")],
+        ["type", "T|"+r.type, r.type || "전체"],
+        ["channel", "C", "채널 전체"]
+      ];
+      const [scope, key, label] = scopes.find(s=>groups[s[1]].length>=BASELINE_MIN_GROUP) || scopes[2];
+      const peers = groups[key];
+      const base = median(peers);
+      const views = Number(r.viewCount||0);
+      r.outlierX = base ? Math.round(views/base*10)/10 : null;
+      r.outlierPct = percentileRank(peers, views);
+      r.outlierBase = { scope, label, n: peers.length, medianViews: base===null ? null : Math.round(base) };
+    }
+  }
+
+  function outlierTitle(r){
+    const b = r.outlierBase;
+    if(!b) return "";
+    return "기준: "+b.label+" "+b.n+"개의 조회수 중앙값 "+formatNumber(b.medianViews||0);
+  }
+
   // ---------- Filtering / table ----------
   function getTargetRows(){
     const t = $("tableTarget").value;
-    if(t==="A") return state.datasets.A || [];
-    if(t==="B") return state.datasets.B || [];
-    return ([]).concat(state.datasets.A||[], state.datasets.B||[]);
+    if(t==="ALL") return [].concat(...activeSlots().map(k=>state.datasets[k]||[]));
+    return state.datasets[t] || [];
   }
 
   function currentShortsThresholdForRow(row){
-    const rule = getLengthRule(row.channelKey==="A" ? "A" : "B");
+    const rule = getLengthRule(row.channelKey);
     return (rule && rule.seconds!=null) ? rule.seconds : null;
   }
 
+  function shortsSourceLabel(r){
+    const s = r.shorts;
+    if(!s) return "길이 기준 분류";
+    if(s.source==="probe") return "쇼츠 여부 서버 확인 (/shorts/)";
+    if(s.source==="duration") return "180초 초과 → 쇼츠 아님";
+    return "서버 확인 실패 → 길이 기준 분류";
+  }
+
+  const LIVE_LABELS = { upload:"업로드", live:"라이브", premiere:"프리미어", upcoming:"예정" };
+
+  // yes/no select against a nullable boolean (null = unknown, e.g. lite mode → excluded)
+  function matchYesNo(sel, v){
+    if(sel==="all") return true;
+    if(v===null || v===undefined) return false;
+    return sel==="yes" ? !!v : !v;
+  }
+
+  function metaPills(r){
+    const out = [];
+    if(r.hasCaptions) out.push("자막");
+    if(r.definition) out.push(r.definition.toUpperCase());
+    if(r.audioLang) out.push(r.audioLang);
+    if(r.licensedContent) out.push("©");
+    if(r.madeForKids) out.push("키즈");
+    return out;
+  }
+
+  function hasTokenRun(tokens, words){
+    for(let i=0; i+words.length<=tokens.length; i++){
+      if(words.every((w,j)=>tokens[i+j]===w)) return true;
+    }
+    return false;
+  }
+
   function applyFilters(){
     const rows = getTargetRows().slice();
     const type = $("filterType").value;
@@ -600,6 +1478,18 @@
     const daysFilter = $("filterDays").value;
     const q = ($("searchText").value||"").trim().toLowerCase();
     const sortBy = $("sortBy").value;
+    const live = $("filterLive").value;
+    const captions = $("filterCaptions").value;
+    const definition = $("filterDefinition").value;
+    const licensed = $("filterLicensed").value;
+    const kids = $("filterKids").value;
+    const langs = ($("filterLang").value||"").toLowerCase().split(/[\s,]+/).filter(Boolean);
+    const topicTerms = ($("filterTopic").value||"").toLowerCase().split(",").map(x=>x.trim()).filter(Boolean);
+    const engMetric = $("engMetric").value;
+    const engMin = parseFloat($("engMin").value);
+    const engMax = parseFloat($("engMax").value);
+    const outliersOnly = $("filterOutliers").checked;
+    const outlierMin = parseFloat($("outlierMin").value) || 2;
 
     const filtered = rows.filter(r=>{
       // type
@@ -611,6 +1501,17 @@
       if(isFinite(minV) && !isNaN(minV) && v < minV) return false;
       if(isFinite(maxV) && !isNaN(maxV) && v > maxV) return false;
 
+      // engagement range (hidden counts never match a bound)
+      if(!isNaN(engMin) || !isNaN(engMax)){
+        const e = r[engMetric];
+        if(e===null || e===undefined) return false;
+        if(!isNaN(engMin) && e < engMin) return false;
+        if(!isNaN(engMax) && e > engMax) return false;
+      }
+
+      // over-performers vs their channel baseline
+      if(outliersOnly && !(r.outlierX >= outlierMin)) return false;
+
       // uploaded within
       if(daysFilter!=="all"){
         const d = toDate(r.publishedAt);
@@ -621,10 +1522,26 @@
 
       // search
       if(q){
-        const inTitle = (r.title||"").toLowerCase().includes(q);
-        const inTags = (r.hashtags||[]).some(x=>x.toLowerCase().includes(q));
+        // words (one word or a title 2-gram) match whole, adjacent title tokens and #tags match exactly,
+        // tokenized like keywordTerms so the row count equals the keyword tab's video count
+        // (only a query with no usable word, e.g. 1-char or stopwords, falls back to a substring match)
+        const words = tokenizeWords(q);
+        const inTitle = words.length ? hasTokenRun(tokenizeWords(r.title), words) : (!q.startsWith("#") && (r.title||"").toLowerCase().includes(q));
+        const inTags = (r.hashtags||[]).some(x=>x.toLowerCase()===q);
         if(!inTitle && !inTags) return false;
       }
+
+      // metadata
+      if(live!=="all" && r.liveStatus!==live) return false;
+      if(!matchYesNo(captions, r.hasCaptions)) return false;
+      if(definition!=="all" && r.definition!==definition) return false;
+      if(!matchYesNo(licensed, r.licensedContent)) return false;
+      if(!matchYesNo(kids, r.madeForKids)) return false;
+      if(langs.length && !langs.some(l=> (r.audioLang||"").toLowerCase().startsWith(l))) return false;
+      if(topicTerms.length){
+        const hay = (r.topics||[]).concat(r.tags||[]).map(x=>String(x).toLowerCase());
+        if(!topicTerms.some(t=> hay.some(h=>h.includes(t)))) return false;
+      }
       return true;
     });
 
@@ -633,6 +1550,11 @@
       if(sortBy==="views_desc") return (b.viewCount||0) - (a.viewCount||0);
       if(sortBy==="vpd_desc") return (b.viewsPerDay||0) - (a.viewsPerDay||0);
       if(sortBy==="vpd_asc") return (a.viewsPerDay||0) - (b.viewsPerDay||0);
+      if(sortBy==="like_rate_desc") return (b.likeRate ?? -Infinity) - (a.likeRate ?? -Infinity);
+      if(sortBy==="comment_rate_desc") return (b.commentRate ?? -Infinity) - (a.commentRate ?? -Infinity);
+      if(sortBy==="engagement_desc") return (b.engagementScore ?? -Infinity) - (a.engagementScore ?? -Infinity);
+      if(sortBy==="outlier_desc") return (b.outlierX ?? -Infinity) - (a.outlierX ?? -Infinity);
+      if(sortBy==="growth_desc") return (b.growthPerHour ?? -Infinity) - (a.growthPerHour ?? -Infinity);
       // date desc
       return String(b.publishedAt||"").localeCompare(String(a.publishedAt||""));
     });
@@ -641,13 +1563,14 @@
     $("countTotal").textContent = String(rows.length);
     $("countFiltered").textContent = String(filtered.length);
     renderTable();
+    if(state.activeTab==="charts") renderCharts();
   }
 
   function renderTable(){
     const body = $("tableBody");
     const rows = state.filteredRows || [];
     if(!rows.length){
-      body.innerHTML = '<tr><td class="py-3 px-2 muted" colspan="11">데이터가 없습니다. 먼저 채널을 불러오고 필터를 적용하세요.</td></tr>';
+      body.innerHTML = '<tr><td class="py-3 px-2 muted" colspan="23">데이터가 없습니다. 먼저 채널을 불러오고 필터를 적용하세요.</td></tr>';
       return;
     }
     body.innerHTML = rows.map((r, idx)=>{
@@ -656,25 +1579,39 @@
       const more = tags.length > 3;
       const like = (r.likeCount===null) ? "" : formatNumber(r.likeCount);
       const comm = (r.commentCount===null) ? "" : formatNumber(r.commentCount);
-      const ch = (r.channelKey==="A") ? "A" : "B";
+      const growth = (r.growthViews==null) ? "" : (r.growthViews>=0 ? "+" : "")+formatNumber(r.growthViews);
+      const growthTitle = r.growthSince ? (r.growthSince.slice(0,16).replace("T"," ")+" 이후") : "이전 스냅샷 없음";
+      const ctags = r.tags || [];
       return `
         <tr class="border-t border-white/5 hover:bg-white/5 cursor-pointer" data-idx="${idx}">
           <td class="py-2 px-2 muted text-xs">${idx+1}</td>
           <td class="py-2 px-2">
             <div class="font-semibold">${escapeHtml(r.title)}</div>
-            <div class="muted text-xs mt-1">${ch} · <a class="link" href="${escapeHtml(r.url)}" target="_blank" rel="noreferrer">영상</a></div>
+            <div class="muted text-xs mt-1"><a class="link" href="${escapeHtml(r.url)}" target="_blank" rel="noreferrer">영상</a></div>
           </td>
+          <td class="py-2 px-2 text-xs"><span class="pill">${escapeHtml(r.channelKey)}</span> <span class="muted">${escapeHtml(r.channelTitle||"")}</span></td>
           <td class="py-2 px-2 muted text-xs">${escapeHtml((r.publishedAt||"").slice(0,10))}</td>
           <td class="py-2 px-2 muted text-xs">${escapeHtml(r.durationText||"")}</td>
-          <td class="py-2 px-2"><span class="pill">${escapeHtml(r.type||"")}</span></td>
+          <td class="py-2 px-2"><span class="pill" title="${escapeHtml(shortsSourceLabel(r))}">${escapeHtml(r.type||"")}${r.shorts && r.shorts.source==="probe" ? " ✓" : ""}</span></td>
+          <td class="py-2 px-2 muted text-xs" title="${escapeHtml(r.liveStartedAt ? "방송 시작 "+r.liveStartedAt.slice(0,16).replace("T"," ") : "")}">${escapeHtml(LIVE_LABELS[r.liveStatus]||"")}</td>
           <td class="py-2 px-2 text-right">${formatNumber(r.viewCount||0)}</td>
           <td class="py-2 px-2 text-right">${formatNumber(r.viewsPerDay||0)}</td>
+          <td class="py-2 px-2 text-right" title="${escapeHtml(outlierTitle(r))}">${r.outlierX==null ? "" : '<span class="'+(r.outlierX>=2 ? "font-semibold" : "muted")+'">'+r.outlierX+'×</span>'}</td>
+          <td class="py-2 px-2 text-right muted text-xs" title="${escapeHtml(outlierTitle(r))}">${r.outlierPct==null ? "" : "P"+r.outlierPct}</td>
+          <td class="py-2 px-2 text-right" title="${escapeHtml(growthTitle)}">${growth}</td>
+          <td class="py-2 px-2 text-right">${r.growthPerHour==null ? "" : formatNumber(r.growthPerHour)}</td>
           <td class="py-2 px-2 text-right">${like}</td>
           <td class="py-2 px-2 text-right">${comm}</td>
+          <td class="py-2 px-2 text-right">${r.likeRate==null ? "" : r.likeRate+"%"}</td>
+          <td class="py-2 px-2 text-right" title="${r.commentRate==null ? "" : "댓글율 "+r.commentRate+"%"}">${r.commentsPer1k==null ? "" : r.commentsPer1k}</td>
+          <td class="py-2 px-2 text-right">${r.engagementScore==null ? "" : r.engagementScore}</td>
           <td class="py-2 px-2 muted text-xs">${escapeHtml(r.categoryName||"")}</td>
+          <td class="py-2 px-2 muted text-xs">${escapeHtml((r.topics||[]).join(", "))}</td>
+          <td class="py-2 px-2 text-xs">${metaPills(r).map(x=>'<span class="pill">'+escapeHtml(x)+'</span>').join(" ")}</td>
           <td class="py-2 px-2 muted text-xs">
             ${escapeHtml(short)}${more ? ' <button class="btn px-2 py-1 rounded-lg text-xs ml-1 btnMore" data-idx="'+idx+'">더보기</button>' : ''}
           </td>
+          <td class="py-2 px-2 muted text-xs" title="${escapeHtml(ctags.join(", "))}">${escapeHtml(ctags.slice(0,3).join(", "))}${ctags.length>3 ? " +"+(ctags.length-3) : ""}</td>
         </tr>
       `;
     }).join("");
@@ -700,6 +1637,8 @@
 
   function refreshTable(){
     // default table target based on mode
+    syncTableTarget();
+    activeSlots().forEach(attachOutliers);
     if(state.mode==="single"){
       $("tableTarget").value = "A";
       $("tableTarget").disabled = true;
@@ -707,6 +1646,596 @@
       $("tableTarget").disabled = false;
     }
     applyFilters();
+    if(state.activeTab==="cadence") renderCadence();
+    if(state.activeTab==="keywords"){ renderKeywordPerf(); renderTitleAnatomy(); }
+  }
+
+  // ---------- Channel analytics (cadence / publish time) ----------
+  const CADENCE_TZS = ["Asia/Seoul","UTC","America/Los_Angeles","America/New_York","Europe/London","Asia/Tokyo"];
+  const WEEKDAYS_KO = ["월","화","수","목","금","토","일"];
+  const WEEKDAY_INDEX = { Mon:0, Tue:1, Wed:2, Thu:3, Fri:4, Sat:5, Sun:6 };
+  const zoneFormatters = {};
+
+  // wall-clock parts of an instant in a time zone: { ymd, weekday (0=Mon), hour }
+  function zonedParts(ms, tz){
+    let f = zoneFormatters[tz];
+    if(!f){
+      f = zoneFormatters[tz] = new Intl.DateTimeFormat("en-US", {
+        timeZone: tz, year:"numeric", month:"2-digit", day:"2-digit", weekday:"short", hour:"2-digit", hourCycle:"h23"
+      });
+    }
+    const p = {};
+    for(const x of f.formatToParts(new Date(ms))) p[x.type] = x.value;
+    return { ymd: p.year+"-"+p.month+"-"+p.day, weekday: WEEKDAY_INDEX[p.weekday] ?? 0, hour: Number(p.hour)%24 };
+  }
+
+  // Monday (YYYY-MM-DD) of the local week that contains ymd
+  function weekStart(ymd, weekday){
+    const d = new Date(ymd+"T00:00:00Z");
+    d.setUTCDate(d.getUTCDate()-weekday);
+    return d.toISOString().slice(0,10);
+  }
+
+  function medianGapDays(times){
+    const gaps = [];
+    for(let i=1;i<times.length;i++) gaps.push((times[i]-times[i-1])/86400000);
+    const m = median(gaps);
+    return m===null ? null : Math.round(m*10)/10;
+  }
+
+  // uploads per week, gaps and a weekday × hour grid for one channel's rows
+  function cadenceStats(rows, tz){
+    const list = (rows||[]).map(r=>({ r, t: Date.parse(r.publishedAt) })).filter(x=>isFinite(x.t)).sort((a,b)=>a.t-b.t);
+    const grid = WEEKDAYS_KO.map(()=> Array.from({length:24}, ()=>[]));
+    const weekMap = {};
+    for(const x of list){
+      const p = zonedParts(x.t, tz);
+      grid[p.weekday][p.hour].push(Number(x.r.viewsPerDay||0));
+      const wk = weekStart(p.ymd, p.weekday);
+      const w = weekMap[wk] || (weekMap[wk] = { week: wk, total:0, shorts:0, long:0 });
+      w.total++;
+      if(x.r.type==="쇼츠") w.shorts++;
+      else if(x.r.type==="롱폼") w.long++;
+    }
+    // contiguous weeks from the first to the last upload week (empty weeks count as 0 uploads)
+    const weekly = [];
+    const keys = Object.keys(weekMap).sort();
+    if(keys.length){
+      const d = new Date(keys[0]+"T00:00:00Z");
+      const span = Math.round((Date.parse(keys[keys.length-1]+"T00:00:00Z") - d.getTime()) / (7*86400000)) + 1;
+      for(let i=0; i<span; i++){
+        const wk = d.toISOString().slice(0,10);
+        weekly.push(weekMap[wk] || { week: wk, total:0, shorts:0, long:0 });
+        d.setUTCDate(d.getUTCDate()+7);
+      }
+    }
+    const byType = {};
+    for(const [name, label] of [["shorts","쇼츠"],["long","롱폼"]]){
+      const times = list.filter(x=>x.r.type===label).map(x=>x.t);
+      byType[name] = {
+        videos: times.length,
+        uploadsPerWeek: weekly.length ? Math.round(times.length/weekly.length*10)/10 : null,
+        medianGapDays: medianGapDays(times)
+      };
+    }
+    const heatmap = grid.map(hours=>hours.map(v=>({ count: v.length, medianViewsPerDay: v.length ? Math.round(median(v)) : null })));
+    const byWeekday = grid.map((hours,i)=>{
+      const v = [].concat(...hours);
+      return { weekday: WEEKDAYS_KO[i], count: v.length, medianViewsPerDay: v.length ? Math.round(median(v)) : null };
+    });
+    const byHour = Array.from({length:24}, (_,h)=>{
+      const v = [].concat(...grid.map(hours=>hours[h]));
+      return { hour: h, count: v.length, medianViewsPerDay: v.length ? Math.round(median(v)) : null };
+    });
+    return {
+      timeZone: tz,
+      videos: list.length,
+      weeks: weekly.length,
+      uploadsPerWeek: weekly.length ? Math.round(list.length/weekly.length*10)/10 : null,
+      medianGapDays: medianGapDays(list.map(x=>x.t)),
+      byType,
+      weekly,
+      heatmap,
+      byWeekday,
+      byHour
+    };
+  }
+
+  // the viewer's own zone, when it is not one of the presets
+  function addLocalTzOption(){
+    const sel = $("cadenceTz");
+    let local = "";
+    try{ local = Intl.DateTimeFormat().resolvedOptions().timeZone || ""; }catch(_){ }
+    if(local && !CADENCE_TZS.includes(local)){
+      const o = document.createElement("option");
+      o.value = local;
+      o.textContent = "내 시간대("+local+")";
+      sel.appendChild(o);
+    }
+    const saved = LS.get("ya_cadenceTz", "");
+    if(saved && [...sel.options].some(o=>o.value===saved)) sel.value = saved;
+  }
+
+  function cadenceTz(){
+    const el = $("cadenceTz");
+    return (el && el.value) || "Asia/Seoul";
+  }
+
+  // stacked weekly bars: shorts on top of long-form
+  function weeklyBarsSvg(weekly, w, h){
+    if(!weekly.length) return "";
+    const max = Math.max(1, ...weekly.map(x=>x.total));
+    const bw = (w-4)/weekly.length;
+    const bars = weekly.map((x,i)=>{
+      const xPos = (2+i*bw).toFixed(1);
+      const width = Math.max(1, bw-1).toFixed(1);
+      const hl = (x.long/max)*(h-14), hs = (x.shorts/max)*(h-14), ho = ((x.total-x.long-x.shorts)/max)*(h-14);
+      let y = h-12;
+      let out = '<g><title>'+x.week+' 주: '+x.total+'개 (쇼츠 '+x.shorts+' / 롱폼 '+x.long+')</title>';
+      for(const [hh, fill] of [[hl,"rgb(var(--accent))"],[hs,"rgb(var(--ok))"],[ho,"rgb(var(--muted))"]]){
+        if(hh<=0) continue;
+        y -= hh;
+        out += '<rect x="'+xPos+'" y="'+y.toFixed(1)+'" width="'+width+'" height="'+hh.toFixed(1)+'" fill="'+fill+'"/>';
+      }
+      return out+'</g>';
+    }).join("");
+    const first = weekly[0].week, last = weekly[weekly.length-1].week;
+    const axis = '<text x="2" y="'+(h-1)+'" font-size="10" fill="rgb(var(--muted))">'+first+'</text>'
+      + '<text x="'+(w-2)+'" y="'+(h-1)+'" font-size="10" text-anchor="end" fill="rgb(var(--muted))">'+last+'</text>'
+      + '<text x="2" y="10" font-size="10" fill="rgb(var(--muted))">최대 '+max+'개/주</text>';
+    return '<svg width="100%" height="'+h+'" viewBox="0 0 '+w+' '+h+'" preserveAspectRatio="none">'+bars+axis+'</svg>';
+  }
+
+  // weekday × hour grid; metric = "count" | "vpd"
+  function heatmapSvg(heatmap, metric){
+    const cell = 16, left = 20, top = 14;
+    const val = (c)=> metric==="vpd" ? c.medianViewsPerDay : c.count;
+    const max = Math.max(1, ...[].concat(...heatmap).map(c=>val(c)||0));
+    const w = left+24*cell, h = top+7*cell;
+    let out = "";
+    for(let hr=0; hr<24; hr+=3){
+      out += '<text x="'+(left+hr*cell+cell/2)+'" y="10" font-size="9" text-anchor="middle" fill="rgb(var(--muted))">'+hr+'</text>';
+    }
+    heatmap.forEach((hours,d)=>{
+      out += '<text x="0" y="'+(top+d*cell+12)+'" font-size="10" fill="rgb(var(--muted))">'+WEEKDAYS_KO[d]+'</text>';
+      hours.forEach((c,hr)=>{
+        const v = val(c);
+        const a = v ? (0.15 + 0.85*(v/max)).toFixed(2) : "0.04";
+        const tip = WEEKDAYS_KO[d]+" "+hr+"시: 업로드 "+c.count+"개"+(c.medianViewsPerDay!=null ? ", 조회수/일 중앙값 "+formatNumber(c.medianViewsPerDay) : "");
+        out += '<rect x="'+(left+hr*cell)+'" y="'+(top+d*cell)+'" width="'+(cell-2)+'" height="'+(cell-2)+'" rx="3" fill="rgba(var(--accent),'+a+')"><title>'+tip+'</title></rect>';
+      });
+    });
+    return '<svg width="'+w+'" height="'+h+'" viewBox="0 0 '+w+' '+h+'">'+out+'</svg>';
+  }
+
+  // value histogram with equal-width bins; nulls are counted separately by the caller
+  function histogramSvg(values, w, h, bins){
+    const vals = values.filter(v=>v!=null && isFinite(v));
+    if(!vals.length) return "";
+    const min = Math.min(...vals), max = Math.max(...vals);
+    const n = Math.max(1, Math.min(bins||12, vals.length));
+    const step = (max-min)/n || 1;
+    const counts = new Array(n).fill(0);
+    for(const v of vals) counts[Math.min(n-1, Math.floor((v-min)/step))]++;
+    const top = Math.max(...counts);
+    const bw = (w-4)/n;
+    const bars = counts.map((c,i)=>{
+      const bh = (c/top)*(h-14);
+      const lo = min+i*step, hi = lo+step;
+      return '<rect x="'+(2+i*bw).toFixed(1)+'" y="'+(h-12-bh).toFixed(1)+'" width="'+Math.max(1,bw-1).toFixed(1)+'" height="'+bh.toFixed(1)+'" fill="rgb(var(--accent))">'
+        + '<title>'+(Math.round(lo*100)/100)+' ~ '+(Math.round(hi*100)/100)+': '+c+'개</title></rect>';
+    }).join("");
+    const axis = '<text x="2" y="'+(h-1)+'" font-size="10" fill="rgb(var(--muted))">'+(Math.round(min*100)/100)+'</text>'
+      + '<text x="'+(w-2)+'" y="'+(h-1)+'" font-size="10" text-anchor="end" fill="rgb(var(--muted))">'+(Math.round(max*100)/100)+'</text>';
+    return '<svg width="100%" height="'+h+'" viewBox="0 0 '+w+' '+h+'" preserveAspectRatio="none">'+bars+axis+'</svg>';
+  }
+
+  function engagementBlock(rows, metric){
+    const vals = rows.map(r=>r[metric]);
+    const known = vals.filter(v=>v!=null);
+    const hidden = vals.length - known.length;
+    const med = median(known);
+    return '<div class="muted text-xs mt-3 mb-1">'+escapeHtml(ENGAGEMENT_LABELS[metric])+' 분포'
+      + (med===null ? '' : ' · 중앙값 '+(Math.round(med*100)/100))
+      + (hidden ? ' · 비공개/불가 '+hidden+'개 제외' : '') + '</div>'
+      + (known.length ? histogramSvg(known, 480, 80, 12) : '<div class="muted text-xs">공개된 값이 없습니다.</div>');
+  }
+
+  function renderCadence(){
+    const box = $("cadenceGrid");
+    if(!box) return;
+    const tz = cadenceTz();
+    const metric = $("cadenceMetric") ? $("cadenceMetric").value : "count";
+    const engMetric = $("engChartMetric") ? $("engChartMetric").value : "likeRate";
+    const keys = activeSlots().filter(k=>(state.datasets[k]||[]).length);
+    if(!keys.length){
+      box.innerHTML = '<div class="muted text-sm">불러온 채널이 없습니다.</div>';
+      return;
+    }
+    const num = (x)=> (x===null || x===undefined) ? "-" : formatNumber(x);
+    box.innerHTML = keys.map(k=>{
+      const st = cadenceStats(state.datasets[k], tz);
+      const ch = state.channels[k];
+      const best = st.byWeekday.filter(x=>x.count).sort((a,b)=>b.count-a.count)[0];
+      const bestHour = st.byHour.filter(x=>x.count).sort((a,b)=>b.count-a.count)[0];
+      return `
+        <div class="panel2 rounded-2xl p-4">
+          <div class="text-sm font-semibold"><span class="pill">${k}</span> ${escapeHtml(ch ? ch.title : "")}</div>
+          <div class="flex flex-wrap gap-2 mt-2 text-xs">
+            <span class="pill">영상 ${num(st.videos)}개 · ${num(st.weeks)}주</span>
+            <span class="pill">주당 ${num(st.uploadsPerWeek)}개</span>
+            <span class="pill">업로드 간격 중앙값 ${num(st.medianGapDays)}일</span>
+            <span class="pill">쇼츠 주당 ${num(st.byType.shorts.uploadsPerWeek)}개 · 간격 ${num(st.byType.shorts.medianGapDays)}일</span>
+            <span class="pill">롱폼 주당 ${num(st.byType.long.uploadsPerWeek)}개 · 간격 ${num(st.byType.long.medianGapDays)}일</span>
+            ${best ? '<span class="pill">최다 요일 '+best.weekday+' · 최다 시간 '+bestHour.hour+'시</span>' : ''}
+          </div>
+          <div class="muted text-xs mt-3 mb-1">주별 업로드 (<span style="color:rgb(var(--accent))">■</span> 롱폼 <span style="color:rgb(var(--ok))">■</span> 쇼츠 <span style="color:rgb(var(--muted))">■</span> 미분류)</div>
+          ${weeklyBarsSvg(st.weekly, 480, 90)}
+          <div class="muted text-xs mt-3 mb-1">요일 × 시간 (${escapeHtml(tz)}, ${metric==="vpd" ? "조회수/일 중앙값" : "업로드 수"})</div>
+          <div class="overflow-auto">${heatmapSvg(st.heatmap, metric)}</div>
+          ${engagementBlock(state.datasets[k], engMetric)}
+        </div>`;
+    }).join("");
+  }
+
+  // ---------- Keyword performance ----------
+  // per term: videos using it, their median views / views-per-day, and lift =
+  // median over those videos of (views-per-day ÷ own channel's median views-per-day)
+  function keywordTerms(r){
+    const out = [];
+    for(const h of (r.hashtags||[])) out.push(["hashtag", h.toLowerCase()]);
+    const words = tokenizeWords(r.title);
+    for(const w of words) out.push(["word", w]);
+    for(let i=1;i<words.length;i++) out.push(["bigram", words[i-1]+" "+words[i]]);
+    // one vote per video per term
+    const seen = new Set();
+    return out.filter(([kind, term])=>{
+      const k = kind+"|"+term;
+      if(seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+  }
+
+  function keywordPerformance(keys, minVideos){
+    const terms = {};
+    for(const k of keys){
+      const rows = state.datasets[k] || [];
+      const base = median(rows.map(r=>Number(r.viewsPerDay||0)));
+      for(const r of rows){
+        for(const [kind, term] of keywordTerms(r)){
+          const id = kind+"|"+term;
+          const t = terms[id] || (terms[id] = { kind, term, views:[], vpd:[], ratios:[], channels:new Set() });
+          t.views.push(Number(r.viewCount||0));
+          t.vpd.push(Number(r.viewsPerDay||0));
+          if(base) t.ratios.push(Number(r.viewsPerDay||0)/base);
+          t.channels.add(k);
+        }
+      }
+    }
+    return Object.values(terms)
+      .filter(t=>t.views.length >= minVideos)
+      .map(t=>{
+        const lift = median(t.ratios);
+        return {
+          kind: t.kind,
+          term: t.term,
+          videos: t.views.length,
+          channels: [...t.channels],
+          medianViews: Math.round(median(t.views)),
+          medianViewsPerDay: Math.round(median(t.vpd)*10)/10,
+          lift: lift===null ? null : Math.round(lift*100)/100
+        };
+      });
+  }
+
+  const KEYWORD_KIND_LABELS = { hashtag:"해시태그", word:"제목 단어", bigram:"제목 2-gram" };
+
+  function syncKeywordTarget(){
+    const sel = $("kwTarget");
+    if(!sel) return;
+    const prev = sel.value;
+    const keys = activeSlots().filter(k=>(state.datasets[k]||[]).length);
+    sel.innerHTML = '<option value="ALL">전체 채널 합치기</option>'
+      + keys.map(k=>'<option value="'+k+'">'+escapeHtml(slotLabel(k))+'</option>').join("");
+    sel.value = (prev==="ALL" || keys.includes(prev)) ? prev : "ALL";
+  }
+
+  function renderKeywordPerf(){
+    const body = $("kwBody");
+    if(!body) return;
+    syncKeywordTarget();
+    const target = $("kwTarget").value;
+    const keys = target==="ALL" ? activeSlots().filter(k=>(state.datasets[k]||[]).length) : [target];
+    const kind = $("kwKind").value;
+    const minVideos = Math.max(1, parseInt($("kwMin").value,10) || 2);
+    const sortBy = $("kwSort").value;
+    const list = keywordPerformance(keys, minVideos).filter(t=>kind==="all" || t.kind===kind);
+    list.sort((a,b)=>{
+      if(sortBy==="videos") return b.videos - a.videos || (b.lift??0) - (a.lift??0);
+      if(sortBy==="vpd") return b.medianViewsPerDay - a.medianViewsPerDay;
+      if(sortBy==="lift_asc") return (a.lift ?? Infinity) - (b.lift ?? Infinity);
+      return (b.lift ?? -Infinity) - (a.lift ?? -Infinity) || b.videos - a.videos;
+    });
+    $("kwCount").textContent = String(list.length);
+    if(!list.length){
+      body.innerHTML = '<tr><td class="py-3 px-2 muted" colspan="7">조건에 맞는 키워드가 없습니다. 채널을 불러오거나 최소 영상 수를 낮춰 보세요.</td></tr>';
+      return;
+    }
+    const shown = list.slice(0, 200);
+    body.innerHTML = shown.map((t, i)=>`
+      <tr class="border-t border-white/5 hover:bg-white/5 cursor-pointer" data-kw="${i}" title="클릭 → 데이터 표에서 이 키워드로 검색">
+        <td class="py-2 px-2 font-semibold">${escapeHtml(t.term)}</td>
+        <td class="py-2 px-2 muted text-xs">${KEYWORD_KIND_LABELS[t.kind]}</td>
+        <td class="py-2 px-2 text-xs">${t.channels.map(k=>'<span class="pill">'+k+'</span>').join(" ")}</td>
+        <td class="py-2 px-2 text-right">${formatNumber(t.videos)}</td>
+        <td class="py-2 px-2 text-right">${formatNumber(t.medianViews)}</td>
+        <td class="py-2 px-2 text-right">${formatNumber(t.medianViewsPerDay)}</td>
+        <td class="py-2 px-2 text-right ${t.lift!=null && t.lift>=1 ? "font-semibold" : "muted"}">${t.lift==null ? "" : t.lift+"×"}</td>
+      </tr>
+    `).join("");
+    body.querySelectorAll("tr[data-kw]").forEach(tr=>{
+      tr.addEventListener("click", ()=>{
+        const t = shown[parseInt(tr.getAttribute("data-kw"),10)];
+        $("searchText").value = t.term;
+        if(target!=="ALL" || state.mode!=="single") $("tableTarget").value = target;
+        setTab("data");
+        applyFilters(); refreshGpt();
+        toast("“"+t.term+"” 검색 필터를 적용했습니다", "ok");
+      });
+    });
+  }
+
+  // ---------- Title anatomy ----------
+  const TITLE_BRACKETS = /[\[\]【】()（）「」『』〈〉《》<>]/;
+  const TITLE_EMOJI = /\p{Extended_Pictographic}/u;
+  const FIRST_WORD_TOP = 8;
+
+  function titleLengthBucket(n){
+    if(n<=20) return "≤20자";
+    if(n<=40) return "21~40자";
+    if(n<=60) return "41~60자";
+    return "61자+";
+  }
+
+  // share of Hangul among Hangul + Latin letters
+  function titleScript(t){
+    const ko = (t.match(/[가-힣ㄱ-ㆎ]/g) || []).length;
+    const en = (t.match(/[A-Za-z]/g) || []).length;
+    if(!ko && !en) return "문자 없음";
+    const r = ko/(ko+en);
+    if(r>=0.8) return "한글 위주";
+    if(r<=0.2) return "영문 위주";
+    return "한영 혼합";
+  }
+
+  function titleOpening(t){
+    const s = t.trim();
+    if(!s) return "";
+    const c = Array.from(s)[0];
+    if(TITLE_BRACKETS.test(c)) return "괄호로 시작";
+    if(/\d/.test(c)) return "숫자로 시작";
+    if(TITLE_EMOJI.test(c)) return "이모지로 시작";
+    if(c==="#") return "#으로 시작";
+    return "단어로 시작";
+  }
+
+  function titleFeatures(title){
+    const t = String(title||"");
+    const yn = (b)=> b ? "있음" : "없음";
+    return {
+      length: titleLengthBucket(Array.from(t).length),
+      number: yn(/\d/.test(t)),
+      emoji: yn(TITLE_EMOJI.test(t)),
+      brackets: yn(TITLE_BRACKETS.test(t)),
+      question: yn(/[?？]/.test(t)),
+      exclamation: yn(/[!！]/.test(t)),
+      script: titleScript(t),
+      opening: titleOpening(t),
+      firstWord: (t.trim().split(/\s+/)[0] || "").toLowerCase()
+    };
+  }
+
+  const TITLE_FEATURES = [
+    ["length", "제목 길이", ["≤20자","21~40자","41~60자","61자+"]],
+    ["number", "숫자 포함", ["있음","없음"]],
+    ["emoji", "이모지", ["있음","없음"]],
+    ["brackets", "괄호 【】[]()", ["있음","없음"]],
+    ["question", "물음표 ?", ["있음","없음"]],
+    ["exclamation", "느낌표 !", ["있음","없음"]],
+    ["script", "한글/영문 비율", ["한글 위주","한영 혼합","영문 위주","문자 없음"]],
+    ["opening", "시작 형태", ["단어로 시작","괄호로 시작","숫자로 시작","이모지로 시작","#으로 시작"]],
+    ["firstWord", "첫 단어(상위)", null]
+  ];
+
+  // per feature value and channel: video count + median views-per-day
+  function titleAnatomy(keys){
+    const feats = {};
+    for(const k of keys){
+      for(const r of (state.datasets[k]||[])){
+        const f = titleFeatures(r.title);
+        for(const [name] of TITLE_FEATURES){
+          const byVal = feats[name] || (feats[name] = {});
+          const cell = (byVal[f[name]] || (byVal[f[name]] = {}));
+          (cell[k] || (cell[k] = [])).push(Number(r.viewsPerDay||0));
+        }
+      }
+    }
+    return TITLE_FEATURES.map(([name, label, order])=>{
+      const byVal = feats[name] || {};
+      let values = order ? order.filter(v=>byVal[v]) : Object.keys(byVal)
+        .filter(v=>v && keys.reduce((n,k)=>n+((byVal[v][k]||[]).length),0) >= 2)
+        .sort((a,b)=> keys.reduce((n,k)=>n+((byVal[b][k]||[]).length),0) - keys.reduce((n,k)=>n+((byVal[a][k]||[]).length),0))
+        .slice(0, FIRST_WORD_TOP);
+      return {
+        feature: name,
+        label,
+        groups: values.map(v=>{
+          const byChannel = {};
+          for(const k of keys){
+            const vals = byVal[v][k] || [];
+            byChannel[k] = { videos: vals.length, medianViewsPerDay: vals.length ? Math.round(median(vals)*10)/10 : null };
+          }
+          return { value: v, byChannel };
+        })
+      };
+    });
+  }
+
+  function renderTitleAnatomy(){
+    const box = $("titleAnatomy");
+    if(!box) return;
+    const keys = activeSlots().filter(k=>(state.datasets[k]||[]).length);
+    if(!keys.length){
+      box.innerHTML = '<div class="muted text-sm">불러온 채널이 없습니다.</div>';
+      return;
+    }
+    const channelMedian = {};
+    for(const k of keys) channelMedian[k] = median((state.datasets[k]||[]).map(r=>Number(r.viewsPerDay||0)));
+    const head = '<tr><th class="text-left py-2 px-2">항목</th><th class="text-left py-2 px-2">값</th>'
+      + keys.map(k=>'<th class="text-right py-2 px-2" title="영상 수 · 조회수/일 중앙값 (채널 전체 중앙값 '+formatNumber(Math.round(channelMedian[k]||0))+')">'+k+' 영상 · 조회수/일</th>').join("") + '</tr>';
+    const rows = titleAnatomy(keys).map(f=>f.groups.map((g,i)=>{
+      const cells = keys.map(k=>{
+        const c = g.byChannel[k];
+        if(!c.videos) return '<td class="py-2 px-2 text-right muted">-</td>';
+        const hot = channelMedian[k] && c.medianViewsPerDay > channelMedian[k];
+        return '<td class="py-2 px-2 text-right"><span class="muted text-xs">'+c.videos+'개</span> <span class="'+(hot ? "font-semibold" : "")+'">'+formatNumber(c.medianViewsPerDay)+'</span></td>';
+      }).join("");
+      return '<tr class="border-t border-white/5">'
+        + '<td class="py-2 px-2 muted text-xs">'+(i===0 ? escapeHtml(f.label) : '')+'</td>'
+        + '<td class="py-2 px-2">'+escapeHtml(g.value)+'</td>'+cells+'</tr>';
+    }).join("")).join("");
+    box.innerHTML = '<table class="w-full text-sm"><thead class="text-xs muted">'+head+'</thead><tbody>'+rows+'</tbody></table>';
+  }
+
+  // ---------- Charts (current table filter) ----------
+  const CHART_COLORS = ["99 102 241","34 197 94","239 68 68","234 179 8","14 165 233","168 85 247","249 115 22","20 184 166","236 72 153","132 204 22","100 116 139","245 158 11"];
+
+  function chartColor(r, by){
+    if(by==="type"){
+      if(r.type==="쇼츠") return "34 197 94";
+      if(r.type==="롱폼") return "99 102 241";
+      return "148 163 184";
+    }
+    const i = SLOT_KEYS.indexOf(r.channelKey);
+    return CHART_COLORS[(i<0 ? 0 : i) % CHART_COLORS.length];
+  }
+
+  function chartLegend(rows, by){
+    const seen = {};
+    for(const r of rows){
+      const label = by==="type" ? (r.type || "미분류") : r.channelKey+" "+(r.channelTitle||"");
+      if(!seen[label]) seen[label] = chartColor(r, by);
+    }
+    return Object.entries(seen).map(([label, c])=>'<span class="mr-3"><span style="color:rgb('+c+')">●</span> '+escapeHtml(label)+'</span>').join("");
+  }
+
+  // linear or log10 axis mapping onto [a, b] pixels
+  function chartScale(vals, log, a, b){
+    const t = (v)=> log ? Math.log10(Math.max(1, v)) : v;
+    const ts = vals.map(t);
+    let lo = Math.min(...ts), hi = Math.max(...ts);
+    if(log){ lo = Math.floor(lo); hi = Math.max(lo+1, Math.ceil(hi)); }
+    if(hi===lo) hi = lo+1;
+    const f = (v)=> a + (t(v)-lo)/(hi-lo)*(b-a);
+    f.ticks = log
+      ? Array.from({length: hi-lo+1}, (_,i)=> Math.pow(10, lo+i))
+      : [lo, (lo+hi)/2, hi];
+    return f;
+  }
+
+  function compactNumber(v){
+    if(v>=1e8) return (Math.round(v/1e7)/10)+"억";
+    if(v>=1e4) return (Math.round(v/1e3)/10)+"만";
+    return formatNumber(Math.round(v));
+  }
+
+  // points: [{ x, y, color, idx, tip }]; circles carry data-idx for openModal
+  function scatterSvg(points, o){
+    const w = o.w || 560, h = o.h || 260, l = 52, b = 22;
+    if(!points.length) return '<div class="muted text-xs">표시할 데이터가 없습니다.</div>';
+    const sx = chartScale(points.map(p=>p.x), o.xLog, l, w-8);
+    const sy = chartScale(points.map(p=>p.y), o.yLog, h-b, 8);
+    let out = "";
+    for(const t of sy.ticks){
+      const y = sy(t).toFixed(1);
+      out += '<line x1="'+l+'" x2="'+(w-8)+'" y1="'+y+'" y2="'+y+'" stroke="rgb(var(--border))" stroke-width="1"/>'
+        + '<text x="'+(l-4)+'" y="'+(Number(y)+3)+'" font-size="10" text-anchor="end" fill="rgb(var(--muted))">'+escapeHtml(o.yFmt(t))+'</text>';
+    }
+    for(const t of sx.ticks){
+      out += '<text x="'+sx(t).toFixed(1)+'" y="'+(h-6)+'" font-size="10" text-anchor="middle" fill="rgb(var(--muted))">'+escapeHtml(o.xFmt(t))+'</text>';
+    }
+    out += points.map(p=>'<circle class="chartPt" data-idx="'+p.idx+'" cx="'+sx(p.x).toFixed(1)+'" cy="'+sy(p.y).toFixed(1)+'" r="4" fill="rgba('+p.color+',.75)" style="cursor:pointer"><title>'+escapeHtml(p.tip)+'</title></circle>').join("");
+    return '<svg width="100%" viewBox="0 0 '+w+' '+h+'">'+out+'</svg>';
+  }
+
+  // series: [{ color, label, pts:[{x,y}] }]
+  function lineChartSvg(series, o){
+    const w = o.w || 560, h = o.h || 260, l = 52, b = 22;
+    const all = [].concat(...series.map(s=>s.pts));
+    if(!all.length) return '<div class="muted text-xs">표시할 데이터가 없습니다.</div>';
+    const sx = chartScale(all.map(p=>p.x), false, l, w-8);
+    const sy = chartScale(all.map(p=>p.y).concat([0]), false, h-b, 8);
+    let out = "";
+    for(const t of sy.ticks){
+      const y = sy(t).toFixed(1);
+      out += '<line x1="'+l+'" x2="'+(w-8)+'" y1="'+y+'" y2="'+y+'" stroke="rgb(var(--border))" stroke-width="1"/>'
+        + '<text x="'+(l-4)+'" y="'+(Number(y)+3)+'" font-size="10" text-anchor="end" fill="rgb(var(--muted))">'+escapeHtml(o.yFmt(t))+'</text>';
+    }
+    for(const t of sx.ticks){
+      out += '<text x="'+sx(t).toFixed(1)+'" y="'+(h-6)+'" font-size="10" text-anchor="middle" fill="rgb(var(--muted))">'+escapeHtml(o.xFmt(t))+'</text>';
+    }
+    for(const s of series){
+      const pts = s.pts.map(p=>sx(p.x).toFixed(1)+","+sy(p.y).toFixed(1)).join(" ");
+      out += '<polyline fill="none" stroke="rgb('+s.color+')" stroke-width="2" points="'+pts+'"><title>'+escapeHtml(s.label)+'</title></polyline>';
+    }
+    return '<svg width="100%" viewBox="0 0 '+w+' '+h+'">'+out+'</svg>';
+  }
+
+  function renderCharts(){
+    const box = $("chartsGrid");
+    if(!box) return;
+    const rows = (state.filteredRows || []).filter(r=>toDate(r.publishedAt));
+    const by = $("chartColorBy").value;
+    $("chartsLegend").innerHTML = chartLegend(rows, by);
+    $("chartsCount").textContent = String(rows.length);
+    const dateFmt = (ms)=> new Date(ms).toISOString().slice(0,10);
+    const tip = (r)=> r.title+" · 조회수 "+formatNumber(r.viewCount||0)+" · "+(r.publishedAt||"").slice(0,10);
+
+    const byDate = scatterSvg(rows.map((r,i)=>({
+      x: toDate(r.publishedAt).getTime(), y: Number(r.viewCount||0), color: chartColor(r, by), idx: i, tip: tip(r)
+    })), { yLog: true, xFmt: dateFmt, yFmt: compactNumber });
+
+    const withDur = rows.map((r,i)=>({ r, i })).filter(x=>x.r.durationSeconds>0);
+    const byDur = scatterSvg(withDur.map(({r,i})=>({
+      x: r.durationSeconds, y: Number(r.viewCount||0), color: chartColor(r, by), idx: i, tip: tip(r)+" · "+(r.durationText||"")
+    })), { xLog: true, yLog: true, xFmt: (s)=> s>=3600 ? (Math.round(s/360)/10)+"시간" : (s>=60 ? Math.round(s/60)+"분" : s+"초"), yFmt: compactNumber });
+
+    // cumulative views of the filtered videos, in publish order, per channel
+    const series = [];
+    for(const k of SLOT_KEYS){
+      const list = rows.filter(r=>r.channelKey===k).sort((a,b)=>toDate(a.publishedAt)-toDate(b.publishedAt));
+      if(!list.length) continue;
+      let sum = 0;
+      series.push({
+        color: chartColor(list[0], "channel"),
+        label: k+" "+(list[0].channelTitle||""),
+        pts: list.map(r=>({ x: toDate(r.publishedAt).getTime(), y: (sum += Number(r.viewCount||0)) }))
+      });
+    }
+    const vpd = rows.map(r=>Number(r.viewsPerDay||0));
+
+    const card = (title, body)=> '<div class="panel2 rounded-2xl p-4"><div class="text-sm font-semibold mb-2">'+title+'</div>'+body+'</div>';
+    box.innerHTML = [
+      card("조회수 × 업로드일 (로그 스케일)", byDate),
+      card("조회수/일 분포", vpd.length ? histogramSvg(vpd, 560, 200, 20) : '<div class="muted text-xs">표시할 데이터가 없습니다.</div>'),
+      card("길이 × 조회수 (로그 스케일)", byDur),
+      card("채널별 누적 조회수 (업로드순)", lineChartSvg(series, { xFmt: dateFmt, yFmt: compactNumber })
+        + '<div class="muted text-xs mt-1">'+series.map(s=>'<span class="mr-3"><span style="color:rgb('+s.color+')">●</span> '+escapeHtml(s.label)+'</span>').join("")+'</div>')
+    ].join("");
+    box.querySelectorAll(".chartPt").forEach(el=>{
+      el.addEventListener("click", ()=> openModal(rows[parseInt(el.getAttribute("data-idx"),10)]));
+    });
   }
 
   // ---------- Modal ----------
@@ -724,24 +2253,146 @@
         <div class="flex flex-wrap gap-2 mt-1">
           <span class="pill">조회수 ${formatNumber(r.viewCount||0)}</span>
           <span class="pill">조회수/일 ${formatNumber(r.viewsPerDay||0)}</span>
+          ${r.outlierX==null ? '' : '<span class="pill" title="'+escapeHtml(outlierTitle(r))+'">채널 대비 '+r.outlierX+'× · P'+r.outlierPct+'</span>'}
           <span class="pill">좋아요 ${like}</span>
           <span class="pill">댓글 ${comm}</span>
+          ${r.engagementScore==null ? '' : '<span class="pill">참여점수 '+r.engagementScore+'</span>'}
+          ${r.likeRate==null ? '' : '<span class="pill">좋아요율 '+r.likeRate+'%</span>'}
+          ${r.commentsPer1k==null ? '' : '<span class="pill">댓글/1천뷰 '+r.commentsPer1k+'</span>'}
           <span class="pill">카테고리 ${escapeHtml(r.categoryName||"")}</span>
+          ${r.liveStatus ? '<span class="pill">'+escapeHtml(LIVE_LABELS[r.liveStatus]||r.liveStatus)+'</span>' : ''}
+          ${metaPills(r).map(x=>'<span class="pill">'+escapeHtml(x)+'</span>').join("")}
+        </div>
+        ${(r.topics||[]).length ? '<div class="muted text-xs">주제: '+escapeHtml(r.topics.join(", "))+'</div>' : ''}
+        <div class="mt-2">
+          <div class="muted text-xs mb-1">조회수 추이(스냅샷)</div>
+          ${renderGrowthBlock(r)}
         </div>
         <div class="mt-2">
           <div class="muted text-xs mb-1">해시태그</div>
           <div class="text-sm">${escapeHtml(tags || "없음")}</div>
         </div>
+        <div class="mt-2">
+          <div class="muted text-xs mb-1">크리에이터 태그</div>
+          <div class="text-sm">${escapeHtml((r.tags||[]).join(", ") || "없음")}</div>
+        </div>
         <div class="mt-2">
           <div class="muted text-xs mb-1">설명(일부)</div>
           <div class="panel2 rounded-xl p-3 text-xs mono whitespace-pre-wrap max-h-[240px] overflow-auto scrollbar">${escapeHtml((r.description||"").slice(0,2500))}</div>
         </div>
+        <div class="mt-2">
+          <div class="flex items-center justify-between gap-2 flex-wrap">
+            <div class="muted text-xs">댓글 분석</div>
+            <div class="flex items-center gap-2">
+              <select id="commentsMax" class="input px-2 py-1 rounded-lg text-xs">
+                <option value="100">100개 (1u)</option>
+                <option value="200" selected>200개 (~2u)</option>
+                <option value="500">500개 (~5u)</option>
+                <option value="1000">1000개 (~10u)</option>
+              </select>
+              <select id="commentsOrder" class="input px-2 py-1 rounded-lg text-xs">
+                <option value="relevance" selected>관련도순</option>
+                <option value="time">최신순</option>
+              </select>
+              <button id="btnLoadComments" class="btn px-3 py-1 rounded-lg text-xs">댓글 불러오기</button>
+            </div>
+          </div>
+          <div id="commentsPanel" class="mt-2 text-xs muted">${r.commentCount===0 ? "댓글이 없습니다." : "버튼을 누르면 댓글을 수집해 좋아요/답글 상위, 키워드, 긍·부정 비율을 보여줍니다."}</div>
+        </div>
         <div class="mt-2">
           <a class="link text-sm" href="${escapeHtml(r.url)}" target="_blank" rel="noreferrer">YouTube에서 열기</a>
         </div>
       </div>
     `;
+    $("btnLoadComments").addEventListener("click", ()=> loadComments(r));
+  }
+
+  async function loadComments(r){
+    const panel = $("commentsPanel");
+    const max = parseInt($("commentsMax").value, 10) || 200;
+    const order = $("commentsOrder").value || "relevance";
+    const cacheKey = r.videoId+"|"+max+"|"+order;
+    if(state.commentsCache[cacheKey]){
+      panel.innerHTML = renderComments(state.commentsCache[cacheKey]);
+      return;
+    }
+
+    const base = getApiBase();
+    if(isFileMode() && !base){
+      toast("로컬(file://)에서는 API 도메인을 먼저 입력해야 합니다", "err");
+      return;
+    }
+    const url = normalizeBase(base) + "/api/youtube_analyzer"
+      + "?action=comments"
+      + "&videoId=" + encodeURIComponent(r.videoId)
+      + "&max=" + encodeURIComponent(String(max))
+      + "&order=" + encodeURIComponent(order);
+
+    panel.textContent = "댓글 불러오는 중...";
+    try{
+      const data = await fetchApiJson(url);
+      const units = data && data.quota && data.quota.estimatedUnitsThisCall ? data.quota.estimatedUnitsThisCall : 0;
+      quotaAdd(units, r.channelKey+" comments");
+      refreshServerQuota();
+      state.commentsCache[cacheKey] = data;
+      log(r.channelKey+": 댓글 "+(data.comments||[]).length+"개 ("+r.videoId+")");
+      panel.innerHTML = renderComments(data);
+    }catch(err){
+      panel.textContent = "오류: " + String(err && err.message || err);
+      toast(String(err && err.message || err), "err");
+    }
+  }
+
+  function renderComments(data){
+    if(data.disabled) return '<span class="muted">이 영상은 댓글이 꺼져 있습니다.</span>';
+    const a = analyzeComments(data.comments);
+    if(!a.total) return '<span class="muted">수집된 댓글이 없습니다.</span>';
+    const pct = (n)=> Math.round(n*1000/a.total)/10 + "%";
+    const label = { pos:"긍정", neg:"부정", neu:"중립" };
+    const item = (c, metric)=>`
+      <div class="py-1 border-t border-white/5">
+        <div class="text-sm whitespace-pre-wrap">${escapeHtml((c.text||"").slice(0,400))}</div>
+        <div class="muted text-xs mt-1">${escapeHtml(c.author)} · ${metric} · ${label[c.sentiment]}</div>
+      </div>`;
+    return `
+      <div class="flex flex-wrap gap-2">
+        <span class="pill">수집 ${formatNumber(a.total)}개</span>
+        <span class="pill">긍정 ${a.counts.pos} (${pct(a.counts.pos)})</span>
+        <span class="pill">부정 ${a.counts.neg} (${pct(a.counts.neg)})</span>
+        <span class="pill">중립 ${a.counts.neu} (${pct(a.counts.neu)})</span>
+      </div>
+      <div class="mt-2">
+        <div class="muted text-xs mb-1">자주 나온 키워드</div>
+        <div class="flex flex-wrap gap-1">${a.keywords.map(k=>'<span class="pill">'+escapeHtml(k.keyword)+' '+k.count+'</span>').join("") || '<span class="muted">없음</span>'}</div>
+      </div>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mt-2">
+        <div class="panel2 rounded-xl p-3 max-h-[280px] overflow-auto scrollbar">
+          <div class="muted text-xs mb-1">좋아요 상위</div>
+          ${a.byLikes.map(c=>item(c, "좋아요 "+formatNumber(c.likeCount))).join("")}
+        </div>
+        <div class="panel2 rounded-xl p-3 max-h-[280px] overflow-auto scrollbar">
+          <div class="muted text-xs mb-1">답글 많은 댓글</div>
+          ${a.byReplies.map(c=>item(c, "답글 "+formatNumber(c.replyCount))).join("") || '<span class="muted">답글 달린 댓글 없음</span>'}
+        </div>
+      </div>
+      <div class="muted text-xs mt-2">* 긍·부정은 간단한 단어 사전 기반 추정입니다 (반어/맥락 미반영).</div>
+    `;
+  }
+  function renderGrowthBlock(r){
+    const hist = r.snapshots || [];
+    if(hist.length < 2) return '<div class="muted text-xs">스냅샷이 2개 이상 쌓이면 표시됩니다 (채널을 다시 불러올 때마다 기록, 캐시 사용 시 제외).</div>';
+    const first = hist[0], last = hist[hist.length-1];
+    return `
+      <div class="flex items-center gap-3 flex-wrap">
+        ${sparklineSvg(hist.map(p=>p.v), 240, 48)}
+        <div class="muted text-xs">
+          스냅샷 ${hist.length}개 · ${escapeHtml(new Date(first.t).toLocaleString("ko-KR"))} ~ ${escapeHtml(new Date(last.t).toLocaleString("ko-KR"))}<br/>
+          최근 증가 ${r.growthViews==null ? "-" : formatNumber(r.growthViews)} · 조회수/시간 ${r.growthPerHour==null ? "-" : formatNumber(r.growthPerHour)}
+        </div>
+      </div>
+    `;
   }
+
   function closeModal(){
     $("modalBackdrop").style.display = "none";
     $("modal").style.display = "none";
@@ -758,13 +2409,23 @@
       filterDays: $("filterDays").value,
       searchText: $("searchText").value || "",
       sortBy: $("sortBy").value,
-      lengthRuleA: getLengthRule("A"),
-      lengthRuleB: getLengthRule("B"),
-      collected: {
-        A: { max: parseInt($("maxA").value,10), days: parseInt($("daysA").value,10) },
-        B: { max: parseInt($("maxB").value,10), days: parseInt($("daysB").value,10) }
-      }
+      live: $("filterLive").value,
+      captions: $("filterCaptions").value,
+      definition: $("filterDefinition").value,
+      licensed: $("filterLicensed").value,
+      madeForKids: $("filterKids").value,
+      audioLang: $("filterLang").value || "",
+      topic: $("filterTopic").value || "",
+      outliersOnly: $("filterOutliers").checked,
+      outlierMin: $("outlierMin").value || "",
+      engagement: { metric: $("engMetric").value, min: $("engMin").value || "", max: $("engMax").value || "" },
+      lengthRules: {},
+      collected: {}
     };
+    for(const k of activeSlots()){
+      filters.lengthRules[k] = getLengthRule(k);
+      filters.collected[k] = { max: resolveMax(k), days: resolveDays(k), range: resolveRange(k) };
+    }
 
     const rows = (state.filteredRows||[]);
     const keywordSummary = (() => {
@@ -788,6 +2449,7 @@
     const topByViews = topBy(rows, r=>Number(r.viewCount||0), 10);
     const topByVPD = topBy(rows, r=>Number(r.viewsPerDay||0), 10);
     const bottomByVPD = bottomBy(rows, r=>Number(r.viewsPerDay||0), 10);
+    const topOutliers = topBy(rows.filter(r=>r.outlierX!=null), r=>r.outlierX, 10);
 
     // pack schema
     const pack = {
@@ -808,22 +2470,74 @@
         durationSeconds: r.durationSeconds,
         viewCount: r.viewCount,
         viewsPerDay: r.viewsPerDay,
+        growthViews: r.growthViews ?? null,
+        growthPerHour: r.growthPerHour ?? null,
+        outlierX: r.outlierX ?? null,
+        outlierPct: r.outlierPct ?? null,
         likeCount: r.likeCount,
         commentCount: r.commentCount,
+        likeRate: r.likeRate,
+        commentRate: r.commentRate,
+        commentsPer1k: r.commentsPer1k,
+        engagementScore: r.engagementScore,
         categoryId: r.categoryId,
         categoryName: r.categoryName,
         hashtags: r.hashtags || [],
+        tags: r.tags || [],
+        topics: r.topics || [],
+        liveStatus: r.liveStatus || "",
+        audioLang: r.audioLang || "",
+        hasCaptions: r.hasCaptions,
+        definition: r.definition || "",
+        licensedContent: r.licensedContent,
+        madeForKids: r.madeForKids,
         url: r.url
       })),
       topVideos: {
         byViews: topByViews.map(minVideo),
-        byViewsPerDay: topByVPD.map(minVideo)
+        byViewsPerDay: topByVPD.map(minVideo),
+        // views ÷ the channel's median for the same type/age bucket (outlierBaseline = the peer group)
+        outliers: topOutliers.map(r=>Object.assign(minVideo(r), {
+          type: r.type,
+          outlierX: r.outlierX,
+          outlierPct: r.outlierPct,
+          outlierBaseline: r.outlierBase
+        }))
       },
       bottomVideos: bottomByVPD.map(minVideo),
       keywordSummary,
-      notes: "공개 데이터 한계: CTR/유지율/시청지속시간/노출수 등 비공개 지표는 불가. like/comment는 채널 설정에 따라 비공개면 빈값."
+      cadence: cadencePack(),
+      titleAnatomy: titleAnatomy(activeSlots().filter(k=>(state.datasets[k]||[]).length)),
+      notes: "공개 데이터 한계: CTR/유지율/시청지속시간/노출수 등 비공개 지표는 불가. like/comment는 채널 설정에 따라 비공개면 빈값(이 경우 likeRate/commentRate/engagementScore도 null). engagementScore=(좋아요+댓글×5)/조회수×100."
     };
 
+    // per-channel upload cadence in the analytics tab's time zone (loaded data, not the table filter)
+    function cadencePack(){
+      const tz = cadenceTz();
+      const out = { timeZone: tz, channels: {} };
+      for(const k of activeSlots()){
+        const ds = state.datasets[k] || [];
+        if(!ds.length) continue;
+        const st = cadenceStats(ds, tz);
+        out.channels[k] = {
+          videos: st.videos,
+          weeks: st.weeks,
+          uploadsPerWeek: st.uploadsPerWeek,
+          medianGapDays: st.medianGapDays,
+          byType: st.byType,
+          weekly: st.weekly,
+          byWeekday: st.byWeekday,
+          byHour: st.byHour.filter(x=>x.count),
+          heatmap: {
+            rows: WEEKDAYS_KO.join(""),
+            counts: st.heatmap.map(hours=>hours.map(c=>c.count)),
+            medianViewsPerDay: st.heatmap.map(hours=>hours.map(c=>c.medianViewsPerDay))
+          }
+        };
+      }
+      return out;
+    }
+
     function minVideo(r){
       return {
         channelKey: r.channelKey,
@@ -840,62 +2554,489 @@
       pack.channel = state.channels.A || null;
       delete pack.channels;
     }else if(mode==="bench"){
-      pack.channel = state.channels.B || null;
+      // the benchmark shown in the table, else the first loaded one
+      const t = $("tableTarget").value;
+      const benchKey = (t!=="A" && t!=="ALL" && state.channels[t]) ? t : activeSlots().find(k=>k!=="A" && state.channels[k]);
+      pack.channel = benchKey ? state.channels[benchKey] : null;
       delete pack.channels;
     }else{
-      // compare
-      pack.channels = { A: state.channels.A || null, B: state.channels.B || null };
+      // compare: every loaded channel + side-by-side stats
+      pack.channels = {};
+      for(const k of activeSlots()){
+        if(state.channels[k]) pack.channels[k] = state.channels[k];
+      }
+      pack.comparison = Object.keys(pack.channels).map(channelStats);
       pack.channel = null;
     }
     return pack;
   }
 
-  function buildPrompt(mode){
-    const baseRules = [
-      "너는 “유튜브 데이터 리서처 + 쇼츠 성장 분석가”다.",
-      "아래 ‘분석팩(JSON)’만 근거로, 공개 데이터로 가능한 범위에서만 분석해라.",
-      "CTR/유지율/시청지속시간/노출수 등 비공개 지표는 ‘불가’로 명확히 표기하고 추정하지 마라.",
-      "앱이 만든 결론을 믿지 말고, 데이터에서 근거를 찾아라.",
-      "출력은 Markdown으로."
-    ];
-
-    const tasksMy = [
-      "1) 채널 현황 요약(공개 지표 기반)",
-      "2) 업로드/조회수/조회수-일 분포 관찰(근거 숫자 포함)",
-      "3) 제목/해시태그 패턴 10개(근거 예시 링크 포함)",
-      "4) 2주 실행안 10개(실행 순서 포함)",
-      "5) 제목 템플릿 20개 + 훅 20개(너무 비슷한 문장 반복 금지)"
-    ];
-    const tasksBench = [
-      "1) 벤치 채널의 ‘잘 먹히는 제목/해시태그’ 규칙 10개(근거 예시 링크 포함)",
-      "2) 조회수-일 상위 Top 10 영상 공통점 10개(데이터 근거)",
-      "3) 내 채널에 이식 가능한 포맷 10개(피해야 할 포인트 포함)",
-      "4) 2주 실행안 10개(벤치 규칙을 반영)"
-    ];
-    const tasksCompare = [
-      "1) A vs B: 업로드 주기/조회수/조회수-일 비교(표로)",
-      "2) B 승리 규칙 10개(데이터 근거 포함)",
-      "3) A의 즉시 개선 포인트 10개(데이터 근거 포함)",
-      "4) 2주 실행안 10개(실행 순서 + 측정 방법 포함)"
-    ];
-
-    const tasks = mode==="my" ? tasksMy : (mode==="bench" ? tasksBench : tasksCompare);
-
-    const header = baseRules.join("\n");
-    const body = tasks.join("\n");
-    const tail = [
-      "",
-      "=== 분석팩(JSON) ===",
-      "(아래에 내가 붙여넣는 JSON을 그대로 읽고 분석해라)"
-    ].join("\n");
-
-    return header + "\n\n" + body + "\n" + tail;
+  // ---------- Prompt templates ----------
+  // template: { id, name, mode: my|bench|compare, lang: ko|en|ja, body, builtin? }
+  // body placeholders: {{path}} into promptContext() (objects/arrays are inserted as JSON)
+  const PROMPT_TEXT = {
+    ko: {
+      rules: [
+        "너는 “유튜브 데이터 리서처 + 쇼츠 성장 분석가”다.",
+        "아래 ‘분석팩(JSON)’만 근거로, 공개 데이터로 가능한 범위에서만 분석해라.",
+        "CTR/유지율/시청지속시간/노출수 등 비공개 지표는 ‘불가’로 명확히 표기하고 추정하지 마라.",
+        "앱이 만든 결론을 믿지 말고, 데이터에서 근거를 찾아라.",
+        "출력은 Markdown으로."
+      ],
+      my: [
+        "1) 채널 현황 요약(공개 지표 기반)",
+        "2) 업로드/조회수/조회수-일 분포 관찰(근거 숫자 포함, 업로드 주기·요일/시간대는 cadence 참고)",
+        "3) 제목/해시태그 패턴 10개(근거 예시 링크 포함, 제목 구성은 titleAnatomy 참고)",
+        "4) 2주 실행안 10개(실행 순서 포함)",
+        "5) 제목 템플릿 20개 + 훅 20개(너무 비슷한 문장 반복 금지)"
+      ],
+      bench: [
+        "1) 벤치 채널의 ‘잘 먹히는 제목/해시태그’ 규칙 10개(근거 예시 링크 포함)",
+        "2) 조회수-일 상위 Top 10 + 채널 대비 아웃라이어(topVideos.outliers) 영상 공통점 10개(데이터 근거)",
+        "3) 내 채널에 이식 가능한 포맷 10개(피해야 할 포인트 포함)",
+        "4) 2주 실행안 10개(벤치 규칙을 반영)"
+      ],
+      compare: [
+        "1) A vs 벤치 채널(B, C, …): 업로드 주기/조회수/조회수-일 비교(표로, comparison·cadence 참고)",
+        "2) 벤치 채널들의 승리 규칙 10개(채널별 근거 포함, 제목 구성 차이는 titleAnatomy 참고)",
+        "3) A의 즉시 개선 포인트 10개(데이터 근거 포함)",
+        "4) 2주 실행안 10개(실행 순서 + 측정 방법 포함)"
+      ],
+      tail: ["", "=== 분석팩(JSON) ===", "(아래에 내가 붙여넣는 JSON을 그대로 읽고 분석해라)"],
+      name: { my:"기본 · 내채널", bench:"기본 · 벤치마킹", compare:"기본 · 비교" },
+      langLabel: "한국어"
+    },
+    en: {
+      rules: [
+        "You are a “YouTube data researcher + Shorts growth analyst”.",
+        "Base your analysis only on the ‘analysis pack (JSON)’ below, and only as far as public data allows.",
+        "Mark private metrics such as CTR, retention, watch time and impressions clearly as ‘not available’ and do not estimate them.",
+        "Do not trust conclusions made by the app; find the evidence in the data.",
+        "Answer in Markdown."
+      ],
+      my: [
+        "1) Channel overview (public metrics only)",
+        "2) Observations on uploads / views / views-per-day distribution (with numbers; see cadence for upload rhythm and weekday/hour)",
+        "3) 10 title/hashtag patterns (with example links; see titleAnatomy for title structure)",
+        "4) 10-step two-week action plan (in order)",
+        "5) 20 title templates + 20 hooks (no near-duplicates)"
+      ],
+      bench: [
+        "1) 10 rules for the benchmark channel’s ‘titles/hashtags that work’ (with example links)",
+        "2) 10 things the top-10 views-per-day videos and the channel outliers (topVideos.outliers) have in common (data-backed)",
+        "3) 10 formats I can bring to my channel (including pitfalls to avoid)",
+        "4) 10-step two-week action plan (applying the benchmark rules)"
+      ],
+      compare: [
+        "1) A vs benchmark channels (B, C, …): upload cadence / views / views-per-day (as a table; see comparison and cadence)",
+        "2) 10 winning rules of the benchmark channels (evidence per channel; see titleAnatomy for title differences)",
+        "3) 10 immediate improvements for A (data-backed)",
+        "4) 10-step two-week action plan (order + how to measure)"
+      ],
+      tail: ["", "=== Analysis pack (JSON) ===", "(Read the JSON I paste below as-is and analyze it)"],
+      name: { my:"Default · My channel", bench:"Default · Benchmark", compare:"Default · Compare" },
+      langLabel: "English"
+    },
+    ja: {
+      rules: [
+        "あなたは「YouTubeデータリサーチャー＋ショート成長アナリスト」です。",
+        "以下の「分析パック(JSON)」だけを根拠に、公開データで可能な範囲でのみ分析してください。",
+        "CTR・維持率・総再生時間・インプレッションなど非公開の指標は「不可」と明記し、推定しないでください。",
+        "アプリが出した結論を信用せず、データから根拠を見つけてください。",
+        "出力はMarkdownで。"
+      ],
+      my: [
+        "1) チャンネル現況のまとめ(公開指標ベース)",
+        "2) 投稿数/再生数/1日あたり再生数の分布の観察(根拠の数値付き、投稿周期・曜日/時間帯は cadence を参照)",
+        "3) タイトル/ハッシュタグのパターン10個(根拠となる動画リンク付き、タイトル構成は titleAnatomy を参照)",
+        "4) 2週間の実行プラン10個(実行順付き)",
+        "5) タイトルテンプレート20個＋フック20個(似た文の繰り返し禁止)"
+      ],
+      bench: [
+        "1) ベンチマークチャンネルの「効くタイトル/ハッシュタグ」ルール10個(根拠リンク付き)",
+        "2) 1日あたり再生数トップ10＋チャンネル比アウトライヤー(topVideos.outliers)動画の共通点10個(データ根拠)",
+        "3) 自分のチャンネルに移植できるフォーマット10個(避けるべき点を含む)",
+        "4) 2週間の実行プラン10個(ベンチマークのルールを反映)"
+      ],
+      compare: [
+        "1) A vs ベンチマーク(B, C, …): 投稿周期/再生数/1日あたり再生数の比較(表で、comparison・cadence を参照)",
+        "2) ベンチマークチャンネルの勝ちパターン10個(チャンネル別の根拠付き、タイトル構成の違いは titleAnatomy を参照)",
+        "3) Aがすぐ改善できるポイント10個(データ根拠付き)",
+        "4) 2週間の実行プラン10個(実行順＋測定方法付き)"
+      ],
+      tail: ["", "=== 分析パック(JSON) ===", "(以下に貼り付けるJSONをそのまま読んで分析してください)"],
+      name: { my:"デフォルト · 自チャンネル", bench:"デフォルト · ベンチマーク", compare:"デフォルト · 比較" },
+      langLabel: "日本語"
+    }
+  };
+  const PROMPT_MODES = ["my","bench","compare"];
+
+  function builtinTemplates(){
+    const out = [];
+    for(const lang of Object.keys(PROMPT_TEXT)){
+      const t = PROMPT_TEXT[lang];
+      for(const mode of PROMPT_MODES){
+        out.push({
+          id: "builtin:"+mode+":"+lang,
+          name: t.name[mode]+" ("+t.langLabel+")",
+          mode, lang, builtin: true,
+          body: t.rules.join("\n") + "\n\n" + t[mode].join("\n") + "\n" + t.tail.join("\n")
+        });
+      }
+    }
+    return out;
+  }
+
+  function allTemplates(){
+    return builtinTemplates().concat(state.promptTemplates || []);
+  }
+
+  function selectedTemplate(mode){
+    const id = (state.promptSelection || {})[mode];
+    return allTemplates().find(t=>t.id===id && t.mode===mode) || allTemplates().find(t=>t.id==="builtin:"+mode+":ko");
+  }
+
+  // placeholder values; channelA..channelL = loaded slot channels
+  function promptContext(mode, pack){
+    const ctx = {
+      mode,
+      generatedAt: pack.meta.generatedAt,
+      videoCount: (pack.videos||[]).length,
+      filters: pack.meta.filters,
+      channel: pack.channel,
+      channels: pack.channels,
+      comparison: pack.comparison,
+      topVideos: pack.topVideos,
+      bottomVideos: pack.bottomVideos,
+      keywordSummary: pack.keywordSummary,
+      cadence: pack.cadence,
+      titleAnatomy: pack.titleAnatomy
+    };
+    for(const k of SLOT_KEYS) ctx["channel"+k] = state.channels[k] || null;
+    return ctx;
+  }
+
+  // {{a.b.0.c}} → value; unknown paths stay as written so they are easy to spot
+  function renderTemplate(body, ctx){
+    return String(body||"").replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, path)=>{
+      let v = ctx;
+      for(const p of path.split(".")){
+        if(v===null || v===undefined || typeof v!=="object" || !(p in v)) return m;
+        v = v[p];
+      }
+      if(v===null || v===undefined) return "";
+      return typeof v==="object" ? JSON.stringify(v, null, 2) : String(v);
+    });
+  }
+
+  // only the root name is checked: deeper paths depend on what is loaded
+  function unknownPlaceholders(body, ctx){
+    const found = String(body||"").match(/\{\{\s*[\w.]+\s*\}\}/g) || [];
+    return [...new Set(found.filter(m=> !(m.replace(/[{}\s]/g, "").split(".")[0] in ctx)))];
+  }
+
+  function buildPrompt(mode, pack){
+    const tpl = selectedTemplate(mode);
+    return renderTemplate(tpl.body, promptContext(mode, pack || buildPack(mode)));
   }
 
   function refreshGpt(){
     const mode = document.querySelector('input[name="gptMode"]:checked')?.value || "my";
-    $("gptPrompt").value = buildPrompt(mode);
-    $("gptPack").value = safeJson(buildPack(mode));
+    const pack = buildPack(mode);
+    $("gptPrompt").value = buildPrompt(mode, pack);
+    $("gptPack").value = safeJson(pack);
+    renderTemplateEditor();
+  }
+
+  function saveTemplates(){
+    LS.set("ya_promptTemplates", state.promptTemplates);
+    LS.set("ya_promptSelection", state.promptSelection);
+  }
+
+  // template select for the current mode + editor fields (unless the user is mid-edit on the same template)
+  function renderTemplateEditor(){
+    const sel = $("tplSelect");
+    if(!sel) return;
+    const mode = document.querySelector('input[name="gptMode"]:checked')?.value || "my";
+    const cur = selectedTemplate(mode);
+    const list = allTemplates().filter(t=>t.mode===mode);
+    sel.innerHTML = list.map(t=>'<option value="'+escapeHtml(t.id)+'">'+escapeHtml(t.name)+(t.builtin ? "" : " · 사용자")+'</option>').join("");
+    sel.value = cur.id;
+    if($("tplBody").getAttribute("data-id")!==cur.id){
+      $("tplBody").value = cur.body;
+      $("tplBody").setAttribute("data-id", cur.id);
+      $("tplName").value = cur.builtin ? "" : cur.name;
+    }
+    $("btnTplDelete").disabled = !!cur.builtin;
+    const unknown = unknownPlaceholders($("tplBody").value, promptContext(mode, { meta:{}, videos:[] }));
+    $("tplStatus").textContent = (cur.builtin ? "기본 템플릿(수정 후 저장하면 사본으로 저장)" : "사용자 템플릿")
+      + (unknown.length ? " · 알 수 없는 변수: "+unknown.join(", ") : "");
+  }
+
+  function saveTemplateFromEditor(){
+    const mode = document.querySelector('input[name="gptMode"]:checked')?.value || "my";
+    const cur = selectedTemplate(mode);
+    const body = $("tplBody").value || "";
+    if(!body.trim()){ toast("템플릿 내용이 비어있습니다", "err"); return; }
+    const name = ($("tplName").value||"").trim() || (cur.builtin ? cur.name+" (사본)" : cur.name);
+    let tpl;
+    if(cur.builtin){
+      tpl = { id: "tpl_"+Date.now().toString(36), name, mode, lang: cur.lang, body };
+      state.promptTemplates = (state.promptTemplates||[]).concat([tpl]);
+    }else{
+      tpl = Object.assign(cur, { name, body });
+    }
+    state.promptSelection = Object.assign({}, state.promptSelection, { [mode]: tpl.id });
+    saveTemplates();
+    $("tplBody").removeAttribute("data-id");
+    refreshGpt();
+    toast("템플릿 저장: "+name, "ok");
+  }
+
+  function deleteSelectedTemplate(){
+    const mode = document.querySelector('input[name="gptMode"]:checked')?.value || "my";
+    const cur = selectedTemplate(mode);
+    if(cur.builtin) return;
+    if(!confirm("“"+cur.name+"” 템플릿을 삭제할까요?")) return;
+    state.promptTemplates = (state.promptTemplates||[]).filter(t=>t.id!==cur.id);
+    const sel = Object.assign({}, state.promptSelection);
+    delete sel[mode];
+    state.promptSelection = sel;
+    saveTemplates();
+    $("tplBody").removeAttribute("data-id");
+    refreshGpt();
+  }
+
+  function exportTemplates(){
+    const list = state.promptTemplates || [];
+    if(!list.length){ toast("내보낼 사용자 템플릿이 없습니다", "err"); return; }
+    const blob = new Blob([safeJson({ version: 1, templates: list })], { type:"application/json;charset=utf-8" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "prompt_templates.json";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+
+  // accepts { templates:[…] } or a bare array; same id replaces, builtin ids get a fresh one
+  function importTemplates(text){
+    let data;
+    try{ data = JSON.parse(text); }catch(e){ toast("JSON을 읽지 못했습니다: "+e.message, "err"); return; }
+    const list = Array.isArray(data) ? data : (data && data.templates) || [];
+    const ok = list.filter(t=>t && typeof t.body==="string" && PROMPT_MODES.includes(t.mode)).map(t=>({
+      id: (t.id && !String(t.id).startsWith("builtin:")) ? String(t.id) : "tpl_"+Date.now().toString(36)+Math.random().toString(36).slice(2,6),
+      name: String(t.name || "가져온 템플릿"),
+      mode: t.mode,
+      lang: PROMPT_TEXT[t.lang] ? t.lang : "ko",
+      body: t.body
+    }));
+    if(!ok.length){ toast("가져올 템플릿이 없습니다 (mode/body 확인)", "err"); return; }
+    const ids = new Set(ok.map(t=>t.id));
+    state.promptTemplates = (state.promptTemplates||[]).filter(t=>!ids.has(t.id)).concat(ok);
+    saveTemplates();
+    $("tplBody").removeAttribute("data-id");
+    refreshGpt();
+    toast("템플릿 "+ok.length+"개를 가져왔습니다", "ok");
+  }
+
+  // ---------- LLM runner ----------
+  // runs: [{ id, t, mode, model, packHash, videos, output, status, finishReason, usage }] newest first
+  const LLM_RUNS_MAX = 20;
+  const GPT_MODE_LABELS = { my:"내채널", bench:"벤치마킹", compare:"비교" };
+
+  function inlineMarkdown(s){
+    return s
+      .replace(/`([^`]+)`/g, "<code>$1</code>")
+      .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a class="link" href="$2" target="_blank" rel="noreferrer">$1</a>');
+  }
+
+  // small Markdown subset: headings, lists, tables, quotes, code fences, inline marks (input is escaped first)
+  function renderMarkdown(md){
+    const lines = escapeHtml(md||"").split("\n");
+    const out = [];
+    let list = null, para = [];
+    const flushPara = ()=>{ if(para.length){ out.push("<p>"+inlineMarkdown(para.join(" "))+"</p>"); para = []; } };
+    const flushList = ()=>{ if(list){ out.push("</"+list+">"); list = null; } };
+    const cells = (l)=> l.trim().replace(/^\||\|$/g, "").split("|").map(c=>inlineMarkdown(c.trim()));
+    for(let i=0;i<lines.length;i++){
+      const line = lines[i];
+      if(/^\s*```/.test(line)){
+        flushPara(); flushList();
+        const code = [];
+        while(++i<lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+        out.push("<pre><code>"+code.join("\n")+"</code></pre>");
+        continue;
+      }
+      const h = line.match(/^(#{1,6})\s+(.*)$/);
+      if(h){ flushPara(); flushList(); const n = Math.min(4, h[1].length); out.push("<h"+n+">"+inlineMarkdown(h[2])+"</h"+n+">"); continue; }
+      if(/^\s*\|.*\|\s*$/.test(line) && i+1<lines.length && /^\s*\|?[\s:-]+\|[\s|:-]*$/.test(lines[i+1])){
+        flushPara(); flushList();
+        let html = "<table><thead><tr>"+cells(line).map(c=>"<th>"+c+"</th>").join("")+"</tr></thead><tbody>";
+        i++;
+        while(i+1<lines.length && /^\s*\|.*\|\s*$/.test(lines[i+1])){
+          html += "<tr>"+cells(lines[++i]).map(c=>"<td>"+c+"</td>").join("")+"</tr>";
+        }
+        out.push(html+"</tbody></table>");
+        continue;
+      }
+      const li = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+      if(li){
+        flushPara();
+        const kind = /\d/.test(li[1]) ? "ol" : "ul";
+        if(list!==kind){ flushList(); out.push("<"+kind+">"); list = kind; }
+        out.push("<li>"+inlineMarkdown(li[2])+"</li>");
+        continue;
+      }
+      const q = line.match(/^\s*&gt;\s?(.*)$/);
+      if(q){ flushPara(); flushList(); out.push("<blockquote>"+inlineMarkdown(q[1])+"</blockquote>"); continue; }
+      if(!line.trim()){ flushPara(); flushList(); continue; }
+      flushList();
+      para.push(line.trim());
+    }
+    flushPara(); flushList();
+    return out.join("\n");
+  }
+
+  function saveLlmRun(run){
+    state.llmRuns = [run].concat((state.llmRuns||[]).filter(r=>r.id!==run.id)).slice(0, LLM_RUNS_MAX);
+    LS.set("ya_llmRuns", state.llmRuns);
+    renderLlmRuns();
+  }
+
+  function renderLlmRuns(){
+    const box = $("llmRuns");
+    if(!box) return;
+    const runs = state.llmRuns || [];
+    if(!runs.length){
+      box.innerHTML = '<div class="muted text-xs">저장된 실행이 없습니다.</div>';
+      return;
+    }
+    box.innerHTML = runs.map(r=>`
+      <div class="panel rounded-xl p-3 text-xs">
+        <div class="flex items-center gap-2 flex-wrap">
+          <span class="pill">${escapeHtml(GPT_MODE_LABELS[r.mode]||r.mode)}</span>
+          <span class="muted">${escapeHtml(new Date(r.t).toLocaleString())}</span>
+          ${r.status!=="done" ? '<span class="pill">'+(r.status==="stopped" ? "중지됨" : "오류")+'</span>' : ''}
+        </div>
+        <div class="muted mt-1">${escapeHtml(r.model||"")} · 팩 #${escapeHtml(r.packHash)} · 영상 ${formatNumber(r.videos||0)}개 · ${formatNumber((r.output||"").length)}자</div>
+        <div class="flex gap-2 mt-2">
+          <button class="btn px-2 py-1 rounded-lg text-xs btnLlmView" data-id="${escapeHtml(r.id)}">보기</button>
+          <button class="btn px-2 py-1 rounded-lg text-xs btnLlmDel" data-id="${escapeHtml(r.id)}">삭제</button>
+        </div>
+      </div>
+    `).join("");
+    box.querySelectorAll(".btnLlmView").forEach(b=> b.addEventListener("click", ()=> showLlmRun(b.getAttribute("data-id"))));
+    box.querySelectorAll(".btnLlmDel").forEach(b=> b.addEventListener("click", ()=>{
+      state.llmRuns = (state.llmRuns||[]).filter(r=>r.id!==b.getAttribute("data-id"));
+      LS.set("ya_llmRuns", state.llmRuns);
+      renderLlmRuns();
+    }));
+  }
+
+  // output + same pack check + re-run buttons for the other modes
+  function showLlmRun(id){
+    const r = (state.llmRuns||[]).find(x=>x.id===id);
+    if(!r) return;
+    const current = hashKey(safeJson(buildPack(r.mode)));
+    const others = Object.keys(GPT_MODE_LABELS).filter(m=>m!==r.mode);
+    $("llmStatus").innerHTML = escapeHtml(GPT_MODE_LABELS[r.mode]+" 모드 · "+new Date(r.t).toLocaleString()+" · 팩 #"+r.packHash)
+      + (current===r.packHash ? " (현재 데이터와 같은 팩)" : " (현재 데이터와 다른 팩)")
+      + " · " + others.map(m=>'<button class="btn px-2 py-1 rounded-lg text-xs btnLlmRerun" data-mode="'+m+'">'+GPT_MODE_LABELS[m]+' 모드로 재실행</button>').join(" ");
+    $("llmStatus").querySelectorAll(".btnLlmRerun").forEach(b=> b.addEventListener("click", ()=> runLlm(b.getAttribute("data-mode"))));
+    $("llmOutput").innerHTML = renderMarkdown(r.output) || '<span class="muted">빈 응답</span>';
+  }
+
+  async function runLlm(modeOverride){
+    if(state.llmAbort) return;
+    if(modeOverride){
+      const radio = document.querySelector('input[name="gptMode"][value="'+modeOverride+'"]');
+      if(radio) radio.checked = true;
+    }
+    refreshGpt();
+    const mode = document.querySelector('input[name="gptMode"]:checked')?.value || "my";
+    const prompt = $("gptPrompt").value || "";
+    const pack = $("gptPack").value || "";
+    const base = getApiBase();
+    if(!base){ toast("API 도메인이 비어있습니다. 상단에서 입력/저장 후 다시 시도하세요.", "err"); return; }
+    const run = {
+      id: String(Date.now()),
+      t: Date.now(),
+      mode,
+      model: ($("llmModel").value||"").trim(),
+      packHash: hashKey(pack),
+      videos: (state.filteredRows||[]).length,
+      output: "",
+      status: "running",
+      finishReason: null,
+      usage: null
+    };
+    const ctrl = new AbortController();
+    state.llmAbort = ctrl;
+    $("btnRunLlm").disabled = true;
+    $("btnStopLlm").disabled = false;
+    $("llmStatus").textContent = GPT_MODE_LABELS[mode]+" 모드 분석 중… (팩 #"+run.packHash+")";
+    $("llmOutput").innerHTML = '<span class="muted">응답 대기 중…</span>';
+    const paint = ()=>{ $("llmOutput").innerHTML = renderMarkdown(run.output); };
+    try{
+      const resp = await fetch(normalizeBase(base) + "/api/llm_analyze", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ prompt, pack, mode, model: run.model || undefined }),
+        signal: ctrl.signal
+      });
+      if(!resp.ok){
+        const data = await resp.json().catch(()=>({}));
+        throw apiError(data, resp.status);
+      }
+      // NDJSON: { delta } … { done, model, finishReason, usage } | { error }
+      const onLine = (line)=>{
+        if(!line.trim()) return;
+        let m;
+        try{ m = JSON.parse(line); }catch(_){ return; }
+        if(m.delta){ run.output += m.delta; paint(); }
+        if(m.error) throw apiError(m, 502);
+        if(m.done){
+          run.status = "done";
+          run.model = m.model || run.model;
+          if(m.modelIgnored) toast("“"+m.modelIgnored+"”은 서버 허용 목록(LLM_MODELS)에 없어 "+run.model+"로 실행했습니다");
+          run.finishReason = m.finishReason || null;
+          run.usage = m.usage || null;
+        }
+      };
+      if(resp.body && resp.body.getReader){
+        const reader = resp.body.getReader();
+        const decoder = new TextDecoder();
+        let buf = "";
+        for(;;){
+          const { value, done } = await reader.read();
+          if(done) break;
+          buf += decoder.decode(value, { stream: true });
+          let i;
+          while((i = buf.indexOf("\n")) >= 0){ onLine(buf.slice(0, i)); buf = buf.slice(i+1); }
+        }
+        onLine(buf);
+      }else{
+        (await resp.text()).split("\n").forEach(onLine);
+      }
+      if(run.status!=="done") throw new Error("응답이 완료 표시 없이 끝났습니다.");
+      paint();
+      $("llmStatus").textContent = "완료 · "+(run.model||"")+(run.usage && run.usage.total_tokens ? " · 토큰 "+formatNumber(run.usage.total_tokens) : "")+" · 팩 #"+run.packHash;
+      toast("분석 완료", "ok");
+    }catch(e){
+      const stopped = ctrl.signal.aborted;
+      run.status = stopped ? "stopped" : "error";
+      $("llmStatus").textContent = stopped ? "중지했습니다." : ("실패: "+String(e && e.message || e));
+      if(!run.output) $("llmOutput").innerHTML = '<span class="muted">결과 없음</span>';
+      if(!stopped) toast(String(e && e.message || e), "err");
+    }finally{
+      state.llmAbort = null;
+      $("btnRunLlm").disabled = false;
+      $("btnStopLlm").disabled = true;
+      if(run.output || run.status==="done") saveLlmRun(run);
+    }
   }
 
   // ---------- Export ----------
@@ -911,10 +3052,28 @@
       type: r.type,
       viewCount: r.viewCount,
       viewsPerDay: r.viewsPerDay,
+      growthViews: r.growthViews ?? null,
+      growthPerHour: r.growthPerHour ?? null,
+      growthSince: r.growthSince || "",
+      outlierX: r.outlierX ?? null,
+      outlierPct: r.outlierPct ?? null,
+      outlierBaseline: r.outlierBase ? r.outlierBase.label+" 중앙값 "+r.outlierBase.medianViews : "",
       likeCount: r.likeCount,
       commentCount: r.commentCount,
+      likeRate: r.likeRate,
+      commentRate: r.commentRate,
+      commentsPer1k: r.commentsPer1k,
+      engagementScore: r.engagementScore,
       categoryName: r.categoryName,
       hashtags: (r.hashtags||[]).join(" "),
+      tags: (r.tags||[]).join("|"),
+      topics: (r.topics||[]).join("|"),
+      liveStatus: r.liveStatus || "",
+      audioLang: r.audioLang || "",
+      hasCaptions: r.hasCaptions,
+      definition: r.definition || "",
+      licensedContent: r.licensedContent,
+      madeForKids: r.madeForKids,
       url: r.url
     }));
   }
@@ -978,7 +3137,7 @@
   // ---------- Tabs ----------
   function setTab(name){
     state.activeTab = name;
-    ["data","gpt","export"].forEach(t=>{
+    ["data","cadence","keywords","charts","gpt","export"].forEach(t=>{
       const el = $("tab-"+t);
       if(t===name) el.classList.remove("hidden");
       else el.classList.add("hidden");
@@ -989,6 +3148,9 @@
       btn.classList.toggle("font-semibold", on);
     });
     if(name==="gpt") refreshGpt();
+    if(name==="cadence") renderCadence();
+    if(name==="keywords"){ renderKeywordPerf(); renderTitleAnatomy(); }
+    if(name==="charts") renderCharts();
   }
 
   // ---------- Theme ----------
@@ -1002,10 +3164,18 @@
     // default: dark
     state.theme = LS.get("ya_theme", "dark");
     state.apiBase = LS.get("ya_apiBase", "");
+    state.llmRuns = LS.get("ya_llmRuns", []);
+    state.promptTemplates = LS.get("ya_promptTemplates", []);
+    state.promptSelection = LS.get("ya_promptSelection", {});
     state.quotaUsed = LS.get("ya_quotaUsed", 0);
     state.quotaLog = LS.get("ya_quotaLog", []);
     state.quotaTotal = LS.get("ya_quotaTotal", 10000);
 
+    // channel slots (A is always present)
+    const savedSlots = (LS.get("ya_slots", ["A","B"]) || []).filter(k=>SLOT_KEYS.includes(k));
+    state.slots = ["A"].concat(SLOT_KEYS.filter(k=>k!=="A" && savedSlots.includes(k)));
+    state.slots.forEach(mountSlot);
+
     $("apiBase").value = state.apiBase || "";
     $("quotaUsed").textContent = String(state.quotaUsed);
     $("quotaTotal").value = String(state.quotaTotal);
@@ -1017,32 +3187,35 @@
       $("fileModeHint").classList.remove("hidden");
     }
 
-    // default disable B in single mode
+    // single mode disables every benchmark slot
     setModeFromRadios();
 
     applyTheme();
     refreshTable();
     refreshGpt();
+    refreshServerQuota();
   }
 
   function setModeFromRadios(){
     const m = document.querySelector('input[name="mode"]:checked')?.value || "compare";
     state.mode = m;
+    const others = state.slots.filter(k=>k!=="A");
     if(m==="single"){
-      // disable B controls
-      ["inputB","btnLoadB","maxB","daysB","shortsB","shortsCustomB","localeB","cacheB","fallbackB","liteB","ttlB"].forEach(id=>{
-        const el = $(id); if(el) el.disabled = true;
+      others.forEach(k=>{
+        setSlotDisabled(k, true);
+        $("badge"+k).textContent = "단일";
       });
-      $("badgeB").textContent = "단일";
-      $("summaryB").textContent = "단일 모드";
+      $("btnAddSlot").disabled = true;
+      renderSummaries();
       $("tableTarget").value = "A";
       $("tableTarget").disabled = true;
     }else{
-      ["inputB","btnLoadB","maxB","daysB","shortsB","shortsCustomB","localeB","cacheB","fallbackB","liteB","ttlB"].forEach(id=>{
-        const el = $(id); if(el) el.disabled = false;
+      others.forEach(k=>{
+        setSlotDisabled(k, false);
+        if($("badge"+k).textContent==="단일") $("badge"+k).textContent="대기";
       });
+      $("btnAddSlot").disabled = false;
       $("tableTarget").disabled = false;
-      if($("badgeB").textContent==="단일") $("badgeB").textContent="대기";
       renderSummaries();
     }
   }
@@ -1052,52 +3225,6 @@
     try{
       init();
 
-      // Length rule UI
-      updateShortsUI("A");
-      updateShortsUI("B");
-
-      // Max/Days custom 입력 토글
-      $("maxA")?.addEventListener("change", ()=> updateMaxUI("A"));
-      $("maxB")?.addEventListener("change", ()=> updateMaxUI("B"));
-      $("daysA")?.addEventListener("change", ()=> updateDaysUI("A"));
-      $("daysB")?.addEventListener("change", ()=> updateDaysUI("B"));
-      updateMaxUI("A"); updateMaxUI("B");
-      updateDaysUI("A"); updateDaysUI("B");
-
-      // 조회수 프리필터(수집 후 적용) — 변경 시 즉시 재계산
-      const preInputs = ["preViewsMinA","preViewsMaxA","preViewsMinB","preViewsMaxB"];
-      for(const id of preInputs){
-        $(id)?.addEventListener("input", ()=>{
-          if(id.endsWith("A")) applyPreViewsFilter("A"); else applyPreViewsFilter("B");
-          renderSummaries(); refreshTable(); refreshGpt();
-        });
-      }
-      document.querySelectorAll(".preViewsQuick").forEach(btn=>{
-        btn.addEventListener("click", ()=>{
-          const ch = btn.dataset.ch;
-          const v = btn.dataset.v;
-          if(!ch) return;
-          const minEl = $("preViewsMin"+ch);
-          const maxEl = $("preViewsMax"+ch);
-          if(minEl) minEl.value = v || "";
-          if(maxEl) maxEl.value = "";
-          applyPreViewsFilter(ch);
-          renderSummaries(); refreshTable(); refreshGpt();
-        });
-      });
-      $("btnPreViewsClearA")?.addEventListener("click", ()=>{
-        if($("preViewsMinA")) $("preViewsMinA").value = "";
-        if($("preViewsMaxA")) $("preViewsMaxA").value = "";
-        applyPreViewsFilter("A");
-        renderSummaries(); refreshTable(); refreshGpt();
-      });
-      $("btnPreViewsClearB")?.addEventListener("click", ()=>{
-        if($("preViewsMinB")) $("preViewsMinB").value = "";
-        if($("preViewsMaxB")) $("preViewsMaxB").value = "";
-        applyPreViewsFilter("B");
-        renderSummaries(); refreshTable(); refreshGpt();
-      });
-
       $("btnRoot").addEventListener("click", ()=>{
         const base = getApiBase() || location.origin;
         if(base && base!=="null") window.location.href = normalizeBase(base) + "/";
@@ -1105,8 +3232,9 @@
       });
 
       $("btnResetAll").addEventListener("click", ()=>{
-        if(!confirm("로컬 저장(캐시/설정/쿼터)을 모두 초기화할까요?")) return;
+        if(!confirm("로컬 저장(캐시/설정/쿼터/스냅샷 기록)을 모두 초기화할까요?")) return;
         Object.keys(localStorage).filter(k=>k.startsWith("ya_")).forEach(k=>localStorage.removeItem(k));
+        SnapDB.clear();
         location.reload();
       });
 
@@ -1177,38 +3305,7 @@
         });
       });
 
-      $("btnLoadA").addEventListener("click", ()=>apiBundle("A"));
-
-      // reclassify when length rule changes (no refetch)
-      ["shortsA","shortsCustomA"].forEach(id=>{
-        const el = $(id);
-        if(el) el.addEventListener("change", ()=>{
-          updateShortsUI("A");
-          reclassifyChannel("A");
-          refreshTable();
-          refreshGpt();
-        });
-        if(el && el.tagName==="INPUT") el.addEventListener("input", ()=>{
-          reclassifyChannel("A");
-          refreshTable();
-          refreshGpt();
-        });
-      });
-      ["shortsB","shortsCustomB"].forEach(id=>{
-        const el = $(id);
-        if(el) el.addEventListener("change", ()=>{
-          updateShortsUI("B");
-          reclassifyChannel("B");
-          refreshTable();
-          refreshGpt();
-        });
-        if(el && el.tagName==="INPUT") el.addEventListener("input", ()=>{
-          reclassifyChannel("B");
-          refreshTable();
-          refreshGpt();
-        });
-      });
-      $("btnLoadB").addEventListener("click", ()=>apiBundle("B"));
+      $("btnAddSlot").addEventListener("click", addSlot);
 
       $("btnQuotaReset").addEventListener("click", ()=>{
         state.quotaUsed = 0;
@@ -1227,6 +3324,8 @@
         LS.set("ya_quotaTotal", state.quotaTotal);
       });
 
+      $("btnServerQuota").addEventListener("click", refreshServerQuota);
+
       document.querySelectorAll(".tab").forEach(btn=>{
         btn.addEventListener("click", ()=> setTab(btn.getAttribute("data-tab")));
       });
@@ -1239,6 +3338,12 @@
         $("filterDays").value="all";
         $("searchText").value="";
         $("sortBy").value="date_desc";
+        ["filterLive","filterCaptions","filterDefinition","filterLicensed","filterKids"].forEach(id=>{ $(id).value="all"; });
+        $("filterLang").value="";
+        $("filterTopic").value="";
+        $("filterOutliers").checked=false;
+        $("engMin").value="";
+        $("engMax").value="";
         applyFilters(); refreshGpt();
       });
 
@@ -1256,6 +3361,7 @@
       });
 
       $("tableTarget").addEventListener("change", ()=>{ applyFilters(); refreshGpt(); });
+      $("filterOutliers").addEventListener("change", ()=>{ applyFilters(); refreshGpt(); });
 
       $("btnCopyTableJson").addEventListener("click", ()=>{
         const rows = state.filteredRows || [];
@@ -1267,8 +3373,44 @@
         r.addEventListener("change", refreshGpt);
       });
       $("btnRefreshGpt").addEventListener("click", refreshGpt);
+
+      // channel analytics
+      addLocalTzOption();
+      $("cadenceTz").addEventListener("change", ()=>{ LS.set("ya_cadenceTz", $("cadenceTz").value); renderCadence(); });
+      $("cadenceMetric").addEventListener("change", renderCadence);
+      $("engChartMetric").addEventListener("change", renderCadence);
+
+      // charts
+      $("chartColorBy").addEventListener("change", renderCharts);
+
+      // keyword performance
+      ["kwTarget","kwKind","kwMin","kwSort"].forEach(id=> $(id).addEventListener("change", renderKeywordPerf));
       $("btnCopyPack").addEventListener("click", ()=> copyText($("gptPack").value || ""));
       $("btnCopyPrompt").addEventListener("click", ()=> copyText($("gptPrompt").value || ""));
+      // prompt templates
+      $("tplSelect").addEventListener("change", ()=>{
+        const mode = document.querySelector('input[name="gptMode"]:checked')?.value || "my";
+        state.promptSelection = Object.assign({}, state.promptSelection, { [mode]: $("tplSelect").value });
+        saveTemplates();
+        refreshGpt();
+      });
+      $("tplBody").addEventListener("input", renderTemplateEditor);
+      $("btnTplSave").addEventListener("click", saveTemplateFromEditor);
+      $("btnTplDelete").addEventListener("click", deleteSelectedTemplate);
+      $("btnTplRevert").addEventListener("click", ()=>{ $("tplBody").removeAttribute("data-id"); renderTemplateEditor(); });
+      $("btnTplExport").addEventListener("click", exportTemplates);
+      $("btnTplImport").addEventListener("click", ()=> $("tplImportFile").click());
+      $("tplImportFile").addEventListener("change", ()=>{
+        const f = $("tplImportFile").files && $("tplImportFile").files[0];
+        if(!f) return;
+        const reader = new FileReader();
+        reader.onload = ()=>{ importTemplates(String(reader.result||"")); $("tplImportFile").value = ""; };
+        reader.readAsText(f);
+      });
+
+      $("btnRunLlm").addEventListener("click", ()=> runLlm());
+      $("btnStopLlm").addEventListener("click", ()=>{ if(state.llmAbort) state.llmAbort.abort(); });
+      renderLlmRuns();
       $("btnCopyBoth").addEventListener("click", ()=>{
         const txt = ($("gptPrompt").value||"") + "\n\n" + ($("gptPack").value||"");
         copyText(txt);
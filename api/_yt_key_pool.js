@@ -0,0 +1,174 @@
+// /api/_yt_key_pool.js
+// Shared YouTube API key pool + daily quota ledger (not a route: "_" files are skipped by Vercel)
+// - Used by youtube_analyzer.js and trends.js (source=youtube), so both charge the same ledger
+//   and action=quota reports units spent by either function.
+// - Ledger: YT_LEDGER_STORE=memory|file (YT_LEDGER_FILE, default /tmp/yt_quota_ledger.json).
+//   Separate functions never share memory: for one ledger across both, use the file store on
+//   storage both can reach (YT_LEDGER_FILE), or add a KV store with the same read/update shape.
+
+import fs from "fs";
+
+// ---------- Key pool ----------
+// YOUTUBE_API_KEY="k1,k2,k3": each call uses the least-used key that hasn't hit quotaExceeded today.
+// Usage per key goes to the ledger store and resets at Pacific midnight (when YouTube resets quota).
+// Keys are never echoed back, only masked.
+export const DAILY_QUOTA = clampInt(process.env.YT_DAILY_QUOTA, 10000, 1, 10000000);
+
+export function parseKeyList(raw){
+  return uniq(String(raw || "").split(/[,\s]+/).map(s => s.trim()).filter(Boolean));
+}
+
+export function maskKey(k){
+  return k.length > 10 ? k.slice(0, 4) + "…" + k.slice(-4) : "…" + k.slice(-2);
+}
+
+// Ledger id: short FNV-1a hash so the raw key is never stored
+export function keyId(k){
+  let h = 0x811c9dc5;
+  for (let i=0;i<k.length;i++) h = Math.imul(h ^ k.charCodeAt(i), 16777619);
+  return (h >>> 0).toString(36);
+}
+
+export function pacificDay(t){
+  return new Intl.DateTimeFormat("en-CA", { timeZone: "America/Los_Angeles", year: "numeric", month: "2-digit", day: "2-digit" })
+    .format(new Date(t || Date.now()));
+}
+
+// Next Pacific midnight as an ISO instant
+export function pacificResetAt(t){
+  const now = t || Date.now();
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", { timeZone: "America/Los_Angeles", hourCycle: "h23", hour: "2-digit", minute: "2-digit", second: "2-digit" })
+    .formatToParts(new Date(now)).forEach(p => { parts[p.type] = Number(p.value); });
+  const elapsed = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000;
+  return new Date(Math.floor((now - elapsed + 86400000) / 1000) * 1000).toISOString();
+}
+
+// ---------- Ledger store ----------
+// { day, keys: { [keyId]: { units, calls, exhausted } } }
+// read() returns today's ledger; update(fn) mutates and persists it (read-modify-write,
+// so concurrent instances sharing a file lose at most a racing increment).
+const LEDGER_STORE = makeLedgerStore();
+
+export function makeLedgerStore(){
+  const kind = (process.env.YT_LEDGER_STORE || "memory").toString().toLowerCase();
+  if (kind === "file") return fileLedgerStore(process.env.YT_LEDGER_FILE || "/tmp/yt_quota_ledger.json");
+  return memoryLedgerStore();
+}
+
+function currentLedger(led){
+  const day = pacificDay();
+  return led && led.day === day && led.keys ? led : { day, keys: {} };
+}
+
+function memoryLedgerStore(){
+  const read = () => (globalThis.__YT_KEY_LEDGER__ = currentLedger(globalThis.__YT_KEY_LEDGER__));
+  return {
+    kind: "memory",
+    read,
+    update(fn){ fn(read()); }
+  };
+}
+
+function fileLedgerStore(path){
+  const read = () => {
+    try{
+      return currentLedger(JSON.parse(fs.readFileSync(path, "utf8")));
+    }catch(_){
+      return currentLedger(null);
+    }
+  };
+  return {
+    kind: "file",
+    read,
+    update(fn){
+      const led = read();
+      fn(led);
+      try{
+        fs.writeFileSync(path, JSON.stringify(led));
+      }catch(_){
+        // read-only filesystem: keep serving, just without a persisted ledger
+      }
+    }
+  };
+}
+
+function ledgerEntry(led, id){
+  return led.keys[id] || (led.keys[id] = { units: 0, calls: 0, exhausted: false });
+}
+
+export function makeKeyPool(keys, store){
+  store = store || LEDGER_STORE;
+  const ids = keys.map(keyId);
+  const pick = () => {
+    const led = store.read();
+    let best = -1;
+    ids.forEach((id, i) => {
+      const e = ledgerEntry(led, id);
+      if (!e.exhausted && (best < 0 || e.units < ledgerEntry(led, ids[best]).units)) best = i;
+    });
+    return best;
+  };
+  let idx = pick();
+  if (idx < 0) idx = 0; // all marked exhausted: try anyway, the ledger may be stale
+
+  return {
+    size: keys.length,
+    store: store.kind,
+    key: () => keys[idx],
+    slot: () => idx + 1,
+    charge(units){
+      store.update(led => {
+        const e = ledgerEntry(led, ids[idx]);
+        e.units += units;
+        e.calls += 1;
+      });
+    },
+    // quotaExceeded on the current key: mark it and move on; false when none left
+    rotate(){
+      store.update(led => { ledgerEntry(led, ids[idx]).exhausted = true; });
+      const next = pick();
+      if (next < 0) return false;
+      idx = next;
+      return true;
+    },
+    summary(){
+      const led = store.read();
+      return keys.map((k, i) => {
+        const e = ledgerEntry(led, ids[i]);
+        return {
+          slot: i + 1,
+          key: maskKey(k),
+          unitsToday: e.units,
+          callsToday: e.calls,
+          remainingEstimate: e.exhausted ? 0 : Math.max(0, DAILY_QUOTA - e.units),
+          exhausted: e.exhausted,
+          active: i === idx
+        };
+      });
+    }
+  };
+}
+
+export function quotaStatus(pool){
+  const keys = pool.summary();
+  return {
+    day: pacificDay(),
+    resetsAt: pacificResetAt(),
+    store: pool.store,
+    dailyQuotaPerKey: DAILY_QUOTA,
+    usedToday: keys.reduce((a, k) => a + k.unitsToday, 0),
+    remainingEstimate: keys.reduce((a, k) => a + k.remainingEstimate, 0),
+    keys
+  };
+}
+
+function clampInt(v, dflt, min, max){
+  const n = parseInt((v ?? "").toString(), 10);
+  if (!isFinite(n)) return dflt;
+  return Math.max(min, Math.min(max, n));
+}
+
+function uniq(arr){
+  return Array.from(new Set(arr));
+}
@@ -0,0 +1,213 @@
+// /api/llm_analyze.js
+// Vercel Serverless Function (LLM runner for the analyzer's GPT pack)
+// - Forwards prompt + pack to an OpenAI-compatible chat completions endpoint and streams the answer back.
+// - Uses env: LLM_API_URL (default https://api.openai.com/v1/chat/completions; any compatible server works,
+//   e.g. a local stand-in), LLM_API_KEY (optional when LLM_API_URL points at a server without auth),
+//   LLM_MODEL (default gpt-4o-mini), LLM_MODELS (comma-separated models a request may pick; anything else
+//   runs on LLM_MODEL, since this endpoint is open to any origin and spends the server's key),
+//   LLM_TIMEOUT_MS (time to first byte, default 20000), LLM_IDLE_TIMEOUT_MS (max gap between stream
+//   chunks, default 20000), LLM_MAX_INPUT_CHARS (prompt + pack, default 400000)
+// - Response: application/x-ndjson, one JSON object per line:
+//   { "delta": "..." } ... then { "done": true, model, finishReason, usage } or { "error": { code, message } }
+
+const DEFAULT_URL = "https://api.openai.com/v1/chat/completions";
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const cfg = llmConfig();
+
+  // Ping: configuration check (does not call the LLM)
+  if (req.method === "GET") {
+    return res.status(200).json({
+      ok: true,
+      configured: cfg.configured,
+      model: cfg.model,
+      models: cfg.models,
+      host: safeHost(cfg.url)
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: { code: "bad_request", message: "POST only" } });
+  }
+  if (!cfg.configured) {
+    return res.status(500).json({
+      error: { code: "llm_not_configured", message: "서버에 LLM_API_KEY(또는 LLM_API_URL)가 설정되지 않았습니다. Vercel Environment Variables를 확인하세요." }
+    });
+  }
+
+  const body = parseBody(req.body);
+  const prompt = (body.prompt || "").toString();
+  const pack = typeof body.pack === "string" ? body.pack : (body.pack ? JSON.stringify(body.pack) : "");
+  if (!prompt.trim() || !pack.trim()) {
+    return res.status(400).json({ error: { code: "bad_request", message: "prompt and pack are required" } });
+  }
+  if (prompt.length + pack.length > cfg.maxInputChars) {
+    return res.status(413).json({
+      error: { code: "input_too_large", message: "분석팩이 너무 큽니다 (" + (prompt.length + pack.length) + "자 > " + cfg.maxInputChars + "자). 필터로 영상 수를 줄여 주세요." }
+    });
+  }
+  const requested = (body.model || "").toString().trim();
+  const model = requested && cfg.models.includes(requested) ? requested : cfg.model;
+  const temperature = clampNum(body.temperature, 0.4, 0, 2);
+
+  // client gone → stop paying for tokens
+  const ctrl = new AbortController();
+  res.on && res.on("close", () => { if (!res.writableEnded) ctrl.abort(); });
+  const firstByte = setTimeout(() => ctrl.abort(), cfg.timeoutMs);
+
+  let upstream;
+  try {
+    upstream = await fetch(cfg.url, {
+      method: "POST",
+      headers: Object.assign({ "Content-Type": "application/json" }, cfg.key ? { Authorization: "Bearer " + cfg.key } : {}),
+      body: JSON.stringify({
+        model,
+        temperature,
+        stream: true,
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content: pack }
+        ]
+      }),
+      signal: ctrl.signal
+    });
+  } catch (e) {
+    clearTimeout(firstByte);
+    const timedOut = e && e.name === "AbortError";
+    return res.status(timedOut ? 504 : 502).json({
+      error: timedOut
+        ? { code: "llm_timeout", message: "LLM 서버 응답 시간 초과 (" + cfg.timeoutMs + "ms)" }
+        : { code: "llm_network_error", message: "LLM 서버에 연결하지 못했습니다: " + String(e && e.message || e) }
+    });
+  }
+  clearTimeout(firstByte);
+
+  if (!upstream.ok) {
+    const data = await upstream.json().catch(() => ({}));
+    const err = classifyLlmError(upstream.status, data);
+    return res.status(err.status).json({ error: { code: err.code, message: err.message } });
+  }
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  if (res.flushHeaders) res.flushHeaders();
+  const send = (obj) => res.write(JSON.stringify(obj) + "\n");
+
+  // stalled stream: abort when no chunk arrives for idleTimeoutMs (reset on every chunk)
+  let idle = null;
+  let idled = false;
+  const touch = () => {
+    clearTimeout(idle);
+    idle = setTimeout(() => { idled = true; ctrl.abort(); }, cfg.idleTimeoutMs);
+  };
+
+  const meta = { model, finishReason: null, usage: null };
+  if (requested && requested !== model) meta.modelIgnored = requested;
+  try {
+    touch();
+    const type = (upstream.headers.get("content-type") || "").toLowerCase();
+    if (!type.includes("text/event-stream")) {
+      // servers that ignore stream:true answer with one JSON completion
+      const data = await upstream.json();
+      const choice = (data.choices || [])[0] || {};
+      const text = (choice.message && choice.message.content) || choice.text || "";
+      if (text) send({ delta: text });
+      meta.model = data.model || model;
+      meta.finishReason = choice.finish_reason || null;
+      meta.usage = data.usage || null;
+    } else {
+      await readSse(upstream.body, touch, (data) => {
+        const choice = (data.choices || [])[0] || {};
+        const text = (choice.delta && choice.delta.content) || "";
+        if (text) send({ delta: text });
+        if (data.model) meta.model = data.model;
+        if (choice.finish_reason) meta.finishReason = choice.finish_reason;
+        if (data.usage) meta.usage = data.usage;
+      });
+    }
+    send(Object.assign({ done: true }, meta));
+  } catch (e) {
+    // headers are already sent: report in-band
+    if (idled) send({ error: { code: "llm_timeout", message: "LLM 응답 스트림이 " + cfg.idleTimeoutMs + "ms 동안 멈춰 중단했습니다." } });
+    else if (!ctrl.signal.aborted) send({ error: { code: "llm_upstream_error", message: "LLM 응답 스트림이 중단되었습니다: " + String(e && e.message || e) } });
+  } finally {
+    clearTimeout(idle);
+  }
+  return res.end();
+}
+
+function llmConfig() {
+  const url = (process.env.LLM_API_URL || "").trim();
+  const key = (process.env.LLM_API_KEY || "").trim();
+  const model = (process.env.LLM_MODEL || "gpt-4o-mini").trim();
+  const extra = (process.env.LLM_MODELS || "").split(",").map((m) => m.trim()).filter(Boolean);
+  return {
+    url: url || DEFAULT_URL,
+    key,
+    // the default (hosted) URL needs a key; a custom URL may be a local server without auth
+    configured: !!(key || url),
+    model,
+    models: [model].concat(extra.filter((m) => m !== model)),
+    timeoutMs: clampNum(process.env.LLM_TIMEOUT_MS, 20000, 1000, 120000),
+    idleTimeoutMs: clampNum(process.env.LLM_IDLE_TIMEOUT_MS, 20000, 1000, 120000),
+    maxInputChars: clampNum(process.env.LLM_MAX_INPUT_CHARS, 400000, 1000, 5000000)
+  };
+}
+
+function classifyLlmError(status, data) {
+  const e = (data && data.error) || {};
+  const message = (typeof e === "string" ? e : e.message) || ("HTTP " + status);
+  if (status === 401 || status === 403) return { status: 502, code: "llm_auth", message };
+  if (status === 429) return { status: 429, code: "rate_limited", message };
+  if (status === 400 || status === 404 || status === 413 || status === 422) return { status: 400, code: "bad_request", message };
+  return { status: 502, code: "llm_upstream_error", message };
+}
+
+// Server-sent events: one JSON payload per "data:" line, "[DONE]" ends the stream.
+// onChunk runs for every network chunk (keep-alive comments included).
+async function readSse(stream, onChunk, onData) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  const handle = (line) => {
+    const t = line.trim();
+    if (!t.startsWith("data:")) return false;
+    const payload = t.slice(5).trim();
+    if (payload === "[DONE]") return true;
+    try { onData(JSON.parse(payload)); } catch (_) { }
+    return false;
+  };
+  for await (const chunk of stream) {
+    onChunk();
+    buf += decoder.decode(chunk, { stream: true });
+    let i;
+    while ((i = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 1);
+      if (handle(line)) return;
+    }
+  }
+  if (buf) handle(buf);
+}
+
+function parseBody(b) {
+  if (!b) return {};
+  if (typeof b === "object" && !Buffer.isBuffer(b)) return b;
+  try { return JSON.parse(b.toString()); } catch (_) { return {}; }
+}
+
+function clampNum(v, dflt, min, max) {
+  const n = Number(v);
+  if (v === undefined || v === null || v === "" || !isFinite(n)) return dflt;
+  return Math.max(min, Math.min(max, n));
+}
+
+function safeHost(url) {
+  try { return new URL(url).host; } catch (_) { return ""; }
+}
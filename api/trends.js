@@ -5,6 +5,15 @@
 // 2) 각 키워드에 grade(0~100) 등급 부여 (rank 기반, 분포가 고르게 나오게)
 // 3) 프론트는 grade 클릭 -> 해당 등급 키워드 최대 100개 표시
 // 4) mock 키워드 생성은 하지 않음 (실패 시 stale 캐시 or 에러)
+// 5) series: 실행별 기록(history store)을 tf 버킷으로 집계한 실제 값. 기록이 부족한 항목만 합성값(seriesIsSynthetic)
+// 6) mode=diff&compare=2h: 기록된 과거 순위 대비 new / rising / falling / dropped (모든 source, 같은 tf/감쇠 설정의 기록끼리만)
+// 7) interestKR 점수는 발행시각 기준 시간감쇠(tf별 반감기, halfLife/window/recency=off로 조정), window 밖 기사는 제외
+// 8) 항목별 evidence: 점수에 가장 크게 기여한 헤드라인/게시물(제목/언론사/링크/발행시각). evidence=0이면 생략
+//    interestKR/storyKR/news/googleTrends/reddit(RSS), hackernews/youtube(API 응답의 제목/링크)
+// 9) 한글 토큰은 조사/어미를 뗀 정규형(canonical)으로 합산, term은 가장 흔한 표기. history/diff는 canonical 기준
+
+import fs from 'fs';
+import { parseKeyList, maskKey, makeKeyPool } from './_yt_key_pool.js';
 
 export default async function handler(req, res) {
   // CORS
@@ -29,12 +38,31 @@ export default async function handler(req, res) {
     const q = ((req.query.q ?? '') || '').toString().trim();
 
     const limit = clampInt(req.query.limit ?? process.env.INTEREST_LIMIT ?? 2000, 200, 5000);
+    const recency = recencyKey(source, tf, req.query);
+
+    // mode=diff (또는 compare=만 지정): compare 전 기록 대비 new/rising/falling/dropped
+    const compareRaw = (req.query.compare ?? '').toString().trim();
+    const isDiff = String(req.query.mode ?? '').toLowerCase() === 'diff' || !!compareRaw;
+    const compareMs = isDiff ? parseDuration(compareRaw || '1h') : null;
+    if (isDiff && !compareMs) {
+      return res.status(400).json({ error: 'bad_request', message: 'compare는 30m / 2h / 1d 형식(1분~366일)이어야 합니다.', fetchedAt: nowIso() });
+    }
+    // evidence=0|off: 근거 헤드라인 생략(가벼운 응답), evidence=1~5: 키워드당 개수 (기본 3)
+    const evidenceRaw = String(req.query.evidence ?? '').toLowerCase();
+    const evidenceMax = ['0', 'off', 'false', 'no'].includes(evidenceRaw) ? 0 : clampInt(evidenceRaw || 3, 1, EVIDENCE_KEEP);
+
+    const respond = async (p) => {
+      p = withEvidence(p, evidenceMax);
+      if (!isDiff) return res.status(200).json(p);
+      const d = await trendsDiff(p, { source, tf, geo, hl, cat, recency, q, compareMs, compareLabel: compareRaw || '1h' });
+      return res.status(d.status).json(d.body);
+    };
 
     // cache key (q는 필터이므로 key에 포함)
-    const cacheKey = JSON.stringify({ source, tf, geo, hl, cat, q, limit, seeds: (req.query.seeds ?? ''), seedMode: (req.query.seedMode ?? ''), expand: (req.query.expand ?? '') });
+    const cacheKey = JSON.stringify({ source, tf, geo, hl, cat, q, limit, seeds: (req.query.seeds ?? ''), seedMode: (req.query.seedMode ?? ''), expand: (req.query.expand ?? ''), recency: (req.query.recency ?? ''), halfLife: (req.query.halfLife ?? ''), window: (req.query.window ?? '') });
 
     const fresh = memGet(cacheKey, 60_000);
-    if (fresh) return res.status(200).json(withMeta(fresh, { tookMs: Date.now() - startedAt }));
+    if (fresh) return respond(withMeta(fresh, { tookMs: Date.now() - startedAt }));
 
     const stale = memGetAny(cacheKey);
 
@@ -60,10 +88,19 @@ export default async function handler(req, res) {
       }
     }
 
+    // 실제 series (q 필터 전 전체 목록을 기록)
+    if (!payload?.meta?.stale) {
+      try {
+        await attachHistorySeries(payload, { source, tf, geo, hl, cat, recency });
+      } catch (e) {
+        payload.meta = { ...(payload.meta || {}), seriesError: e?.message || String(e) };
+      }
+    }
+
     // 서버측 q 필터
     if (q && Array.isArray(payload?.items)) {
       const qq = q.toLowerCase();
-      payload.items = payload.items.filter((x) => String(x.term || '').toLowerCase().includes(qq));
+      payload.items = payload.items.filter((x) => `${x.term || ''}\n${x.canonical || ''}`.toLowerCase().includes(qq));
     }
 
     payload = withMeta(payload, { tookMs: Date.now() - startedAt });
@@ -71,12 +108,23 @@ export default async function handler(req, res) {
     memSet(cacheKey, payload);
     memSetAny(cacheKey, payload);
 
-    return res.status(200).json(payload);
+    return respond(payload);
   } catch (e) {
     return res.status(500).json({ error: 'server_error', message: e?.message || String(e), fetchedAt: nowIso() });
   }
 }
 
+// 캐시에는 EVIDENCE_KEEP개까지 두고 응답할 때만 자름 (캐시 원본은 건드리지 않음)
+function withEvidence(payload, max) {
+  if (!Array.isArray(payload?.items) || !payload.items.some((x) => x.evidence)) return payload;
+  const items = payload.items.map((x) => {
+    if (!x.evidence) return x;
+    const { evidence, ...rest } = x;
+    return max > 0 ? { ...rest, evidence: evidence.slice(0, max) } : rest;
+  });
+  return { ...payload, items };
+}
+
 function withMeta(payload, extra) {
   const out = payload || {};
   out.meta = out.meta || {};
@@ -110,6 +158,273 @@ function memSetAny(key, data) {
   memMap().set(key, { ts: Date.now(), data });
 }
 
+/* -----------------------
+ * Trends history store
+ * 실행마다 상위 용어의 scoreRaw/rank를 source|tf|geo|hl|cat(|halfLife/window) 키로 기록하고, tf 버킷으로 집계해 series를 만든다.
+ * TRENDS_HISTORY_STORE=memory|file (TRENDS_HISTORY_FILE, 기본 /tmp/trends_history.json)
+ * 저장소 인터페이스: { kind, read(key) -> runs[], write(key, runs) } (async, KV 구현도 같은 형태로 추가)
+ * run: { t: ms, items: [[term, scoreRaw, rank], ...] }
+ * ---------------------- */
+const HISTORY_TERMS = clampInt(process.env.TRENDS_HISTORY_TERMS ?? 200, 20, 2000);
+
+// 오래된 실행일수록 성기게 보관 (나이 < maxAgeMs 구간에서 everyMs 슬롯당 최신 1개)
+const HISTORY_RETENTION = [
+  { maxAgeMs: 2 * 3600_000, everyMs: 0 },
+  { maxAgeMs: 26 * 3600_000, everyMs: 10 * 60_000 },
+  { maxAgeMs: 8 * 86400_000, everyMs: 3600_000 },
+  { maxAgeMs: 63 * 86400_000, everyMs: 6 * 3600_000 },
+  { maxAgeMs: 366 * 86400_000, everyMs: 86400_000 },
+];
+
+// tf별 버킷 크기/개수 (bucketCount와 같은 개수)
+const SERIES_BUCKET_MS = { hour: 3600_000, day: 86400_000, week: 7 * 86400_000, month: 30 * 86400_000 };
+
+function makeHistoryStore() {
+  const kind = String(process.env.TRENDS_HISTORY_STORE || 'memory').toLowerCase();
+  if (kind === 'file') return fileHistoryStore(process.env.TRENDS_HISTORY_FILE || '/tmp/trends_history.json');
+  return memoryHistoryStore();
+}
+
+function memoryHistoryStore() {
+  globalThis.__TRENDS_HISTORY__ ||= new Map();
+  const m = globalThis.__TRENDS_HISTORY__;
+  return {
+    kind: 'memory',
+    async read(key) {
+      return m.get(key) || [];
+    },
+    async write(key, runs) {
+      m.set(key, runs);
+    },
+  };
+}
+
+function fileHistoryStore(path) {
+  const load = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(path, 'utf8')) || {};
+    } catch (_) {
+      return {};
+    }
+  };
+  return {
+    kind: 'file',
+    async read(key) {
+      return (await load())[key] || [];
+    },
+    async write(key, runs) {
+      const all = await load();
+      all[key] = runs;
+      try {
+        await fs.promises.writeFile(path, JSON.stringify(all));
+      } catch (_) {
+        // 읽기 전용 파일시스템: 기록 없이 계속 서비스
+      }
+    },
+  };
+}
+
+// tf와 (interestKR) 유효 감쇠 설정이 다르면 scoreRaw 기준이 달라지므로 따로 기록
+function historyKey({ source, tf, geo, hl, cat, recency }) {
+  return [source, tf, geo, hl, cat || 'all', ...(recency ? [recency] : [])].join('|');
+}
+
+// interestKR 점수에 쓰이는 halfLife/window (recency=off면 'off'). 다른 source는 감쇠가 없어 ''
+function recencyKey(source, tf, reqQuery) {
+  if (source !== 'interestKR') return '';
+  const r = makeRecency(tf, reqQuery).summary();
+  return r.enabled ? `${r.halfLifeMs}/${r.windowMs}` : 'off';
+}
+
+function compactRuns(runs, now) {
+  const seen = new Set();
+  const out = [];
+  // 최신부터 훑으며 슬롯당 첫 실행만 남김
+  for (const r of runs.slice().sort((a, b) => b.t - a.t)) {
+    const age = now - r.t;
+    const tier = HISTORY_RETENTION.findIndex((x) => age < x.maxAgeMs);
+    if (tier < 0) continue;
+    const every = HISTORY_RETENTION[tier].everyMs;
+    if (every) {
+      const slot = tier + ':' + Math.floor(r.t / every);
+      if (seen.has(slot)) continue;
+      seen.add(slot);
+    }
+    out.push(r);
+  }
+  return out.reverse();
+}
+
+// "30m" / "2h" / "1d" / "90"(분) → ms (compare / halfLife / window 공용)
+function parseDuration(s) {
+  const m = String(s || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|h|d)?$/);
+  if (!m) return null;
+  const unit = m[2] === 'h' ? 3600_000 : m[2] === 'd' ? 86400_000 : 60_000;
+  const ms = Math.round(parseFloat(m[1]) * unit);
+  return ms >= 60_000 && ms <= 366 * 86400_000 ? ms : null;
+}
+
+// 현재 순위 vs compareMs 전(그 시점 이전의 가장 최근 기록) 순위.
+// 기록은 상위 HISTORY_TERMS개뿐이라 현재 목록도 같은 개수로 잘라 비교
+async function trendsDiff(payload, { source, tf, geo, hl, cat, recency, q, compareMs, compareLabel }) {
+  const store = makeHistoryStore();
+  const runs = (await store.read(historyKey({ source, tf, geo, hl, cat, recency }))).slice().sort((a, b) => a.t - b.t);
+  const now = Date.now();
+  const target = now - compareMs;
+  const baseline = runs.filter((r) => r.t <= target).pop();
+  const meta = { ...(payload.meta || {}), mode: 'diff', compare: compareLabel, compareMs, store: store.kind };
+  if (!baseline) {
+    return {
+      status: 404,
+      body: {
+        error: 'no_snapshot',
+        message: `${compareLabel} 전 기록이 없습니다. 이 소스/지역의 가장 오래된 기록: ${runs.length ? new Date(runs[0].t).toISOString() : '없음'}`,
+        meta: { ...meta, oldestSnapshotAt: runs.length ? new Date(runs[0].t).toISOString() : null },
+      },
+    };
+  }
+
+  const qq = (q || '').toLowerCase();
+  const match = (term) => !qq || String(term).toLowerCase().includes(qq);
+  const firstSeen = new Map();
+  for (const r of runs) for (const [term] of r.items) if (!firstSeen.has(term)) firstSeen.set(term, r.t);
+  const seenAt = (term) => (firstSeen.has(term) ? new Date(firstSeen.get(term)).toISOString() : null);
+
+  const prev = new Map(baseline.items.filter(([term]) => match(term)).map(([term, score, rank]) => [term, { score, rank }]));
+  const current = (payload.items || []).filter((x) => (x.rank || 0) <= HISTORY_TERMS);
+  const out = { new: [], rising: [], steady: [], falling: [], dropped: [] };
+  const curTerms = new Set();
+  for (const x of current) {
+    const key = termKey(x);
+    curTerms.add(key);
+    const p = prev.get(key);
+    const score = Math.round(Number(x.scoreRaw) || 0);
+    const row = {
+      term: String(x.term),
+      rank: x.rank,
+      prevRank: p ? p.rank : null,
+      rankDelta: p ? p.rank - x.rank : null,
+      scoreRaw: score,
+      prevScore: p ? p.score : null,
+      scoreDelta: p ? score - p.score : null,
+      firstSeenAt: seenAt(key) || new Date(now).toISOString(),
+    };
+    if (!p) out.new.push(row);
+    else if (row.rankDelta > 0) out.rising.push(row);
+    else if (row.rankDelta < 0) out.falling.push(row);
+    else out.steady.push(row);
+  }
+  for (const [term, p] of prev) {
+    if (curTerms.has(term)) continue;
+    out.dropped.push({ term, rank: null, prevRank: p.rank, rankDelta: null, scoreRaw: null, prevScore: p.score, scoreDelta: null, firstSeenAt: seenAt(term) });
+  }
+  out.new.sort((a, b) => a.rank - b.rank);
+  out.rising.sort((a, b) => b.rankDelta - a.rankDelta || a.rank - b.rank);
+  out.falling.sort((a, b) => a.rankDelta - b.rankDelta || a.rank - b.rank);
+  out.steady.sort((a, b) => a.rank - b.rank);
+  out.dropped.sort((a, b) => a.prevRank - b.prevRank);
+
+  return {
+    status: 200,
+    body: {
+      items: out,
+      counts: Object.fromEntries(Object.entries(out).map(([k, v]) => [k, v.length])),
+      meta: {
+        ...meta,
+        baselineAt: new Date(baseline.t).toISOString(),
+        currentAt: payload.meta?.fetchedAt || new Date(now).toISOString(),
+        comparedTerms: HISTORY_TERMS,
+      },
+    },
+  };
+}
+
+// 기록/비교 키: 정규형이 있으면 정규형 (표시 표기가 실행마다 바뀌어도 같은 용어로 이어짐)
+function termKey(x) {
+  return String(x.canonical || x.term);
+}
+
+// 이번 실행 기록 후 전체 이력 반환 (저장 실패해도 이번 실행은 포함)
+async function recordHistory(store, key, items, now) {
+  const run = {
+    t: now,
+    items: items.slice(0, HISTORY_TERMS).map((x, i) => [termKey(x), Math.round(Number(x.scoreRaw) || 0), x.rank || i + 1]),
+  };
+  let runs = [];
+  try {
+    runs = await store.read(key);
+  } catch (_) {}
+  runs = compactRuns(runs.concat([run]), now);
+  try {
+    await store.write(key, runs);
+  } catch (_) {}
+  return runs;
+}
+
+// 용어별 버킷 값: 버킷 안 실행들의 최대 scoreRaw / 최소 rank.
+// 실행이 없는 버킷은 null, 실행은 있었는데 목록에 없으면 0 (rank는 null)
+function historySeries(runs, tf, now) {
+  const size = SERIES_BUCKET_MS[tf] || SERIES_BUCKET_MS.hour;
+  const n = bucketCount(tf);
+  const start = now - n * size;
+  const observed = new Array(n).fill(false);
+  const byTerm = new Map();
+  for (const r of runs) {
+    if (r.t <= start || r.t > now) continue;
+    const b = Math.min(n - 1, Math.floor((r.t - start) / size));
+    observed[b] = true;
+    for (const [term, score, rank] of r.items) {
+      let e = byTerm.get(term);
+      if (!e) byTerm.set(term, (e = { score: new Array(n).fill(null), rank: new Array(n).fill(null) }));
+      e.score[b] = Math.max(e.score[b] ?? 0, score);
+      e.rank[b] = e.rank[b] == null ? rank : Math.min(e.rank[b], rank);
+    }
+  }
+  return {
+    observedBuckets: observed.filter(Boolean).length,
+    get(term) {
+      const e = byTerm.get(term);
+      const score = observed.map((o, i) => (o ? (e ? e.score[i] ?? 0 : 0) : null));
+      const rank = observed.map((o, i) => (o && e ? e.rank[i] : null));
+      return { score, rank, points: e ? e.score.filter((v) => v != null).length : 0 };
+    },
+  };
+}
+
+// 기록된 버킷이 2개 이상인 용어는 실제 series로 교체, 나머지는 provider의 합성 series 유지(항목별 표시)
+async function attachHistorySeries(payload, { source, tf, geo, hl, cat, recency }) {
+  const items = Array.isArray(payload?.items) ? payload.items : [];
+  const store = makeHistoryStore();
+  const now = Date.now();
+  const runs = await recordHistory(store, historyKey({ source, tf, geo, hl, cat, recency }), items, now);
+  const hs = historySeries(runs, tf, now);
+  let real = 0;
+  for (const x of items) {
+    const h = hs.get(termKey(x));
+    if (h.points >= 2) {
+      x.series = h.score;
+      x.rankSeries = h.rank;
+      x.seriesIsSynthetic = false;
+      real++;
+    } else {
+      x.series = Array.isArray(x.series) && x.series.length ? x.series : synthSeries(bucketCount(tf), Math.max(15, Math.round((Number(x.scoreRaw) || 0) / 6)));
+      x.seriesIsSynthetic = true;
+    }
+  }
+  payload.meta = payload.meta || {};
+  payload.meta.seriesIsSynthetic = real === 0;
+  payload.meta.series = {
+    store: store.kind,
+    bucketMs: SERIES_BUCKET_MS[tf] || SERIES_BUCKET_MS.hour,
+    buckets: bucketCount(tf),
+    observedBuckets: hs.observedBuckets,
+    runs: runs.length,
+    realItems: real,
+    syntheticItems: items.length - real,
+  };
+  return payload;
+}
+
 /* -----------------------
  * Normalizers
  * ---------------------- */
@@ -161,9 +476,9 @@ async function dispatchProvider({ source, tf, geo, hl, cat, limit, reqQuery }) {
   if (source === 'hackernews') return fromHackerNews({ tf, geo, hl });
 
   if (source === 'youtube') {
-    const key = process.env.YT_KEY || process.env.YOUTUBE_API_KEY;
-    if (!key) throw new Error('YT_KEY/YOUTUBE_API_KEY 없음');
-    return fromYouTubeMostPopular({ tf, geo, hl, key });
+    const keys = ytKeyList();
+    if (!keys.length) throw new Error('YT_KEY/YOUTUBE_API_KEY 없음');
+    return fromYouTubeMostPopular({ tf, geo, hl, keys });
   }
 
   if (source === 'naver') {
@@ -220,22 +535,64 @@ function decodeXml(s) {
 function stripHtml(s) {
   return String(s).replace(/<[^>]+>/g, '');
 }
-function parseFeedTitles(xmlText) {
+// 피드 항목 구조화: title(원문) / headline(" - 언론사" 꼬리 제거) / publisher / link / pubDate / feed
+// Google Trends realtime RSS의 ht:news_item(관련 기사)은 newsItems로 함께 반환
+function parseFeedItems(xmlText, feed = '') {
   if (!xmlText || typeof xmlText !== 'string') return [];
-  const titles = [];
-  const pushTitle = (raw) => {
-    const t = stripHtml(decodeXml(raw)).trim();
-    if (t && t.length >= 2) titles.push(t);
+  const items = [];
+  const text = (raw) => (raw == null ? '' : stripHtml(decodeXml(raw)).trim());
+  const tag = (block, name) => {
+    const m = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${name}>`, 'i'));
+    return m ? m[1] : null;
+  };
+  const push = (block, atom) => {
+    const title = text(tag(block, 'title'));
+    if (!title || title.length < 2) return;
+    let link = text(tag(block, 'link'));
+    if (!link) {
+      const m = block.match(/<link\b[^>]*href="([^"]+)"/i);
+      link = m ? decodeXml(m[1]) : '';
+    }
+    const dateRaw = atom
+      ? (tag(block, 'updated') || tag(block, 'published'))
+      : (tag(block, 'pubDate') || tag(block, 'dc:date'));
+    const split = splitPublisher(title);
+    const newsItems = [];
+    const newsRe = /<ht:news_item>([\s\S]*?)<\/ht:news_item>/gi;
+    let n;
+    while ((n = newsRe.exec(block)) !== null) {
+      const t = text(tag(n[1], 'ht:news_item_title'));
+      if (t) newsItems.push({ title: t, link: text(tag(n[1], 'ht:news_item_url')), publisher: text(tag(n[1], 'ht:news_item_source')) || null });
+    }
+    items.push({
+      title,
+      headline: split.headline,
+      publisher: text(tag(block, 'source')) || split.publisher,
+      link: link || null,
+      pubDate: toIsoDate(dateRaw),
+      feed,
+      ...(newsItems.length ? { newsItems } : {}),
+    });
   };
-
   let m;
-  const rssRe = /<item[\s\S]*?<title>([\s\S]*?)<\/title>[\s\S]*?<\/item>/gi;
-  while ((m = rssRe.exec(xmlText)) !== null) pushTitle(m[1]);
-
-  const atomRe = /<entry[\s\S]*?<title[^>]*>([\s\S]*?)<\/title>[\s\S]*?<\/entry>/gi;
-  while ((m = atomRe.exec(xmlText)) !== null) pushTitle(m[1]);
-
-  return titles;
+  const rssRe = /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
+  while ((m = rssRe.exec(xmlText)) !== null) push(m[1], false);
+  const atomRe = /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi;
+  while ((m = atomRe.exec(xmlText)) !== null) push(m[1], true);
+  return items;
+}
+// "제목 - 언론사" -> { headline, publisher } (마지막 " - " 기준, 꼬리가 짧을 때만 언론사로 인정)
+function splitPublisher(title) {
+  const i = String(title).lastIndexOf(' - ');
+  if (i <= 0) return { headline: title, publisher: null };
+  const tail = title.slice(i + 3).trim();
+  if (!tail || tail.length > 40) return { headline: title, publisher: null };
+  return { headline: title.slice(0, i).trim(), publisher: tail };
+}
+function toIsoDate(raw) {
+  if (raw == null) return null;
+  const t = Date.parse(stripHtml(decodeXml(raw)).trim());
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
 }
 
 /* -----------------------
@@ -269,7 +626,103 @@ function looksBroken(s) {
   return false;
 }
 
-function tokenizeOrdered(text, hl) {
+/* -----------------------
+ * Korean normalization (조사/어미 제거)
+ * 규칙 기반 경량 처리: 긴 꼬리부터 한 번만 떼되, 남는 어간이 KO_NOUNS에 있거나 같은 배치(vocab)에 단독으로 나왔을 때만 뗀다.
+ * KO_NOUNS 어간이 가장 우선하고, 그다음 KO_KEEP_WORDS(단어 전체 일치: 우크라이나, 김정은 ...)는 배치에 우크라/김정이 있어도 원형 유지.
+ * 어간이 2자 미만이면 떼지 않음. 숫자가 섞인 토큰은 손대지 않음
+ * ---------------------- */
+const KO_ENDINGS = [
+  '했습니다', '합니다', '입니다', '이었다', '했다', '한다', '하는', '하며', '하고', '해서', '했던', '하기', '하자',
+  '됐다', '된다', '되는', '되며', '되고', '되자', '였다', '이다',
+];
+const KO_JOSA = [
+  '에게서', '에서는', '에서도', '에서의', '으로는', '으로의', '에게는', '이라는', '이라고',
+  '에서', '에게', '한테', '께서', '으로', '로는', '로의', '까지', '부터', '보다', '처럼', '이나', '이랑', '에는', '에도',
+  '과의', '와의', '라는', '라고',
+  '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도',
+];
+// 통째로 하나의 명사인 단어 (끝이 조사처럼 보여도 떼지 않음). 단어 전체와 비교하며, 2자 단어는 애초에 손대지 않으므로 3자 이상만
+const KO_KEEP_WORDS = new Set([
+  // -가
+  '전문가', '평론가', '사업가', '정치가', '예술가', '투자가', '건축가', '작곡가', '소설가', '오메가',
+  // -도
+  '경기도', '강원도', '충청도', '전라도', '경상도', '제주도', '울릉도', '한반도',
+  '지지도', '인지도', '신뢰도', '만족도', '선호도', '호감도', '관심도', '난이도', '위험도', '완성도', '집중도', '정확도', '중요도',
+  // -로
+  '고속도로', '활주로', '마이크로', '히어로', '레트로', '메트로',
+  // -과
+  '피부과', '소아과', '정신과', '산부인과', '성형외과',
+  // -의
+  '민주주의', '자본주의', '사회주의', '공산주의',
+  // -이 / -다
+  '어린이', '고양이', '원숭이', '호랑이', '사이다', '하와이',
+  '플레이', '스프레이', '디스플레이', '카카오페이', '네이버페이', '삼성페이', '토스페이',
+  // -나 / -이나
+  '우크라이나', '코로나', '바나나',
+  // -은 (인명)
+  '김정은',
+  // -와
+  '오타와',
+]);
+
+// 배치에 단독형이 없어도 조사를 떼도 되는 흔한 명사
+const KO_NOUNS = new Set([
+  '대통령', '정부', '국회', '여당', '야당', '검찰', '경찰', '법원', '장관', '의원', '대표', '총리', '후보',
+  '한국', '미국', '중국', '일본', '북한', '러시아', '서울', '부산', '삼성', '애플', '시장', '경제', '기업',
+  '선수', '감독', '대표팀', '배우', '가수', '금리', '환율', '주식', '부동산', '아파트', '학생', '교사',
+  '서울시', '문제', '이유', '사회', '규모', '결정', '시대', '번호', '아버지', '어머니', '가족', '정책',
+]);
+
+// 배치 어휘: 같은 요청에서 모은 텍스트의 한글 단어(원문 표기 그대로)
+function addKoVocab(vocab, text) {
+  for (const w of String(text || '').match(/[가-힣]+/g) || []) vocab.add(w);
+  return vocab;
+}
+function koVocab(texts) {
+  const vocab = new Set();
+  for (const t of texts || []) addKoVocab(vocab, t);
+  return vocab;
+}
+
+function normalizeKoWord(w, vocab = null) {
+  const s = String(w || '');
+  if (!/^[가-힣]+$/.test(s) || s.length < 3) return s;
+  const stems = [];
+  for (const list of [KO_ENDINGS, KO_JOSA]) {
+    for (const tail of list) {
+      if (s.endsWith(tail) && s.length - tail.length >= 2) stems.push(s.slice(0, -tail.length));
+    }
+  }
+  const noun = stems.find((stem) => KO_NOUNS.has(stem));
+  if (noun) return noun;
+  if (KO_KEEP_WORDS.has(s)) return s;
+  return (vocab && stems.find((stem) => vocab.has(stem))) || s;
+}
+
+// 공백 단위로 한글 단어만 정규화 (트렌드/자동완성처럼 이미 구절인 용어용)
+function canonicalPhrase(text, vocab = null) {
+  return String(text || '').split(/\s+/).filter(Boolean).map((w) => normalizeKoWord(w, vocab)).join(' ');
+}
+
+// 표면형 빈도 집계 -> 표시용은 가장 흔한 표면형 (동률이면 정규형과 같은 것, 그다음 짧은 것)
+function addSurface(map, surface) {
+  map.set(surface, (map.get(surface) || 0) + 1);
+}
+function topSurface(map, key) {
+  let best = key;
+  let bestN = -1;
+  for (const [sf, n] of map) {
+    if (n > bestN || (n === bestN && (sf === key || (best !== key && sf.length < best.length)))) {
+      best = sf;
+      bestN = n;
+    }
+  }
+  return best;
+}
+
+// [{ key: 정규형, surface: 원문 표기 }] (key 기준 첫 등장만). vocab: 같은 배치의 koVocab
+function tokenizeKeyed(text, hl, vocab = null) {
   const s = String(text || '');
   const stop = buildStop(hl);
 
@@ -291,39 +744,46 @@ function tokenizeOrdered(text, hl) {
   const out = [];
   for (const w of hangulWords) {
     if (/^\d+$/.test(w)) continue;
-    if (stop.has(w)) continue;
-    out.push(w);
+    const key = normalizeKoWord(w, vocab);
+    if (stop.has(w) || stop.has(key)) continue;
+    out.push({ key, surface: w });
   }
+  // \p{L}에는 한글도 포함되므로 여기서도 정규화 (위에서 나온 단어는 아래 중복 제거에서 걸러짐)
   for (const w of latinWords) {
     if (/^\d+$/.test(w)) continue;
-    if (stop.has(w)) continue;
-    out.push(w);
+    const key = normalizeKoWord(w, vocab);
+    if (stop.has(w) || stop.has(key)) continue;
+    out.push({ key, surface: w });
   }
 
   // 중복 제거는 유지하되 "순서"는 대체로 살리기 위해 첫 등장만 유지
   const seen = new Set();
   const ordered = [];
-  for (const w of out) {
-    if (seen.has(w)) continue;
-    seen.add(w);
-    ordered.push(w);
+  for (const t of out) {
+    if (seen.has(t.key)) continue;
+    seen.add(t.key);
+    ordered.push(t);
   }
   return ordered;
 }
 
-function extractPhrases(title, hl) {
-  // unigram + bigram + trigram (길이 제한)
-  const toks = tokenizeOrdered(title, hl);
+function tokenizeOrdered(text, hl, vocab = null) {
+  return tokenizeKeyed(text, hl, vocab).map((t) => t.key);
+}
+
+function extractPhrases(title, hl, vocab = null) {
+  // unigram + bigram + trigram (길이 제한). p는 정규형, surface는 원문 표기
+  const toks = tokenizeKeyed(title, hl, vocab);
   const phrases = [];
-  for (const t of toks) phrases.push({ p: t, mult: 1.0 });
+  for (const t of toks) phrases.push({ p: t.key, surface: t.surface, mult: 1.0 });
 
   for (let i = 0; i < toks.length - 1; i++) {
-    const p = `${toks[i]} ${toks[i + 1]}`;
-    if (p.length <= 26) phrases.push({ p, mult: 1.35 });
+    const p = `${toks[i].key} ${toks[i + 1].key}`;
+    if (p.length <= 26) phrases.push({ p, surface: `${toks[i].surface} ${toks[i + 1].surface}`, mult: 1.35 });
   }
   for (let i = 0; i < toks.length - 2; i++) {
-    const p = `${toks[i]} ${toks[i + 1]} ${toks[i + 2]}`;
-    if (p.length <= 30) phrases.push({ p, mult: 1.55 });
+    const p = `${toks[i].key} ${toks[i + 1].key} ${toks[i + 2].key}`;
+    if (p.length <= 30) phrases.push({ p, surface: `${toks[i].surface} ${toks[i + 1].surface} ${toks[i + 2].surface}`, mult: 1.55 });
   }
 
   return phrases;
@@ -379,6 +839,9 @@ async function fromInterestKR({ tf, geo, hl, limit, reqQuery }) {
 
   const debug = { seedsUsed: seeds, maxSeeds: maxSeedCalls, expand, steps: {}, errors: [] };
 
+  // 발행시각 기반 감쇠: 같은 위치라도 오래된 기사일수록 가중치가 줄고, window 밖은 버린다
+  const recency = makeRecency(tf, reqQuery);
+
   // 1) Trends realtime terms
   const sourceWeights = {
     trends: 3.2,
@@ -387,29 +850,41 @@ async function fromInterestKR({ tf, geo, hl, limit, reqQuery }) {
     ytSuggest: 0.9,
   };
 
-  const score = new Map(); // term -> { score, sources:Set }
-  const addScore = (term, w, src) => {
+  const score = new Map(); // 정규형 term -> { score, sources:Set, surfaces:Map, evidence:[] }
+  // term은 정규형(조사/어미 제거), surface는 원문 표기 -> 변형들의 점수를 합치고 표시는 가장 흔한 표기로
+  // ev: 점수를 준 피드 항목 -> 기여도(w) 상위 EVIDENCE_KEEP개만 유지 (같은 헤드라인은 최대 기여만)
+  const addScore = (term, w, src, ev, surface) => {
     const t = normalizeTerm(term);
     if (!t) return;
-    const v = score.get(t) || { score: 0, sources: new Set() };
+    const v = score.get(t) || { score: 0, sources: new Set(), surfaces: new Map(), evidence: [] };
     v.score += w;
     v.sources.add(src);
+    addSurface(v.surfaces, normalizeTerm(surface ?? term) || t);
+    if (ev) for (const e of [].concat(ev)) keepEvidence(v.evidence, e, w);
     score.set(t, v);
   };
+  // 정규화는 배치 어휘가 있어야 하므로 수집하는 동안은 vocab만 채우고, 점수는 수집이 끝난 뒤 한꺼번에 준다
+  const vocab = new Set();
+  const pending = [];
 
   // 1-a) Trends RSS
   try {
     const url = `https://trends.google.com/trends/trendingsearches/realtime/rss?geo=${encodeURIComponent(geo)}&category=all`;
     const r = await fetchText(url, { timeoutMs: 9000, headers: { 'User-Agent': 'trends-proxy/interestKR' } });
     if (r.ok && r.text) {
-      const terms = parseFeedTitles(r.text).slice(0, 200);
-      debug.steps.trendsCount = terms.length;
+      const feedItems = parseFeedItems(r.text, 'trends').slice(0, 200);
+      debug.steps.trendsCount = feedItems.length;
       // 상위일수록 가중치
-      const L = Math.max(1, terms.length);
-      terms.forEach((t, i) => {
+      const L = Math.max(1, feedItems.length);
+      feedItems.forEach((it, i) => {
+        const decay = recency.weigh(it);
+        if (!decay) return;
         const posW = (L - i) / L; // 1..0
-        const w = 1000 * posW * sourceWeights.trends;
-        addScore(t, w, 'trends');
+        const w = 1000 * posW * decay * sourceWeights.trends;
+        // 트렌드 항목은 제목이 곧 키워드 -> 근거는 함께 실린 관련 기사(ht:news_item)
+        const evs = it.newsItems ? it.newsItems.map((n) => ({ ...n, pubDate: it.pubDate, feed: it.feed })) : [it];
+        addKoVocab(vocab, it.title);
+        pending.push(() => addScore(canonicalPhrase(it.title, vocab), w, 'trends', evs, it.title));
       });
     } else {
       debug.errors.push({ step: 'trends', status: r.status });
@@ -424,15 +899,19 @@ async function fromInterestKR({ tf, geo, hl, limit, reqQuery }) {
     const url = `https://news.google.com/rss?hl=${encodeURIComponent(hl)}&gl=${encodeURIComponent(geo)}&ceid=${encodeURIComponent(ceid)}`;
     const r = await fetchText(url, { timeoutMs: 9000, headers: { 'User-Agent': 'trends-proxy/interestKR' } });
     if (r.ok && r.text) {
-      const titles = parseFeedTitles(r.text).slice(0, 200).map((t) => String(t).split(' - ')[0]);
-      debug.steps.newsHomeTitles = titles.length;
-      const L = Math.max(1, titles.length);
-      titles.forEach((title, idx) => {
+      const feedItems = parseFeedItems(r.text, 'newsHome').slice(0, 200);
+      debug.steps.newsHomeTitles = feedItems.length;
+      const L = Math.max(1, feedItems.length);
+      feedItems.forEach((it, idx) => {
+        const decay = recency.weigh(it);
+        if (!decay) return;
         const posW = (L - idx) / L;
-        const phrases = extractPhrases(title, hl);
-        for (const { p, mult } of phrases) {
-          addScore(p, 90 * posW * mult * sourceWeights.newsHome, 'news');
-        }
+        addKoVocab(vocab, it.headline);
+        pending.push(() => {
+          for (const { p, surface, mult } of extractPhrases(it.headline, hl, vocab)) {
+            addScore(p, 90 * posW * decay * mult * sourceWeights.newsHome, 'news', it, surface);
+          }
+        });
       });
     } else {
       debug.errors.push({ step: 'newsHome', status: r.status });
@@ -455,17 +934,21 @@ async function fromInterestKR({ tf, geo, hl, limit, reqQuery }) {
       try {
         const r = await fetchText(url, { timeoutMs: 9000, headers: { 'User-Agent': 'trends-proxy/interestKR' } });
         if (r.ok && r.text) {
-          const titles = parseFeedTitles(r.text).slice(0, 120).map((t) => String(t).split(' - ')[0]);
-          titlesForRelated.push(...titles);
-          const L = Math.max(1, titles.length);
-          titles.forEach((title, idx) => {
+          const feedItems = parseFeedItems(r.text, `newsSearch:${seed}`).slice(0, 120);
+          const L = Math.max(1, feedItems.length);
+          feedItems.forEach((it, idx) => {
+            const decay = recency.weigh(it);
+            if (!decay) return;
+            titlesForRelated.push(it.headline);
             const posW = (L - idx) / L;
-            const phrases = extractPhrases(title, hl);
-            for (const { p, mult } of phrases) {
-              // seed 검색결과는 seed 자체와 가까운 문맥 -> weight 조금 상향
-              const w = 130 * posW * mult * sourceWeights.newsSearch;
-              addScore(p, w, `seed:${seed}`);
-            }
+            addKoVocab(vocab, it.headline);
+            pending.push(() => {
+              for (const { p, surface, mult } of extractPhrases(it.headline, hl, vocab)) {
+                // seed 검색결과는 seed 자체와 가까운 문맥 -> weight 조금 상향
+                const w = 130 * posW * decay * mult * sourceWeights.newsSearch;
+                addScore(p, w, `seed:${seed}`, it, surface);
+              }
+            });
           });
         } else {
           debug.errors.push({ step: 'newsSearch', seed, status: r.status });
@@ -482,7 +965,8 @@ async function fromInterestKR({ tf, geo, hl, limit, reqQuery }) {
           for (let k = 0; k < Math.min(25, sugg.length); k++) {
             const s = sugg[k];
             const w = 90 * (1 - k / 25) * sourceWeights.ytSuggest;
-            addScore(s, w, 'ytSuggest');
+            addKoVocab(vocab, s);
+            pending.push(() => addScore(canonicalPhrase(s, vocab), w, 'ytSuggest', null, s));
           }
         } catch (e) {
           debug.errors.push({ step: 'ytSuggest', seed, error: e?.message || String(e) });
@@ -492,12 +976,14 @@ async function fromInterestKR({ tf, geo, hl, limit, reqQuery }) {
   }
 
   await Promise.all(Array.from({ length: seedFetchConcurrency }, () => seedWorker()));
+  for (const run of pending) run();
 
   debug.steps.totalCandidates = score.size;
+  debug.recency = recency.summary();
 
   // 3) 후보 정렬 -> 상위 limit
   const entries = Array.from(score.entries())
-    .map(([term, v]) => ({ term, scoreRaw: v.score, sources: Array.from(v.sources) }))
+    .map(([key, v]) => ({ term: topSurface(v.surfaces, key), canonical: key, scoreRaw: v.score, sources: Array.from(v.sources), evidence: v.evidence }))
     .filter((x) => x.term.length >= 2)
     .filter((x) => !looksBroken(x.term));
 
@@ -555,12 +1041,12 @@ if (validate !== 'off' && validateTop > 0) {
 const top = entries.slice(0, limit);
 
   // 관련어: 타이틀 기반 unigram co-occurrence 근사
-  const { relatedList } = deriveFromTitlesForRelated(titlesForRelated, hl);
+  const { relatedList } = deriveFromTitlesForRelated(titlesForRelated, hl, vocab);
 
   const items = top.map((x, idx) => {
     const rank = idx + 1;
     const grade = computeGradeByRank(rank, top.length);
-    const related = pickRelatedForTerm(x.term, relatedList, hl);
+    const related = pickRelatedForTerm(x.canonical, relatedList, hl);
 
     // sparkline은 "표시용" (키워드 자체는 live)
     const series = synthSeries(bucketCount(tf), Math.max(15, Math.round(x.scoreRaw / 6)));
@@ -569,11 +1055,13 @@ const top = entries.slice(0, limit);
       rank,
       grade,
       term: x.term,
+      canonical: x.canonical,
       scoreRaw: Math.round(x.scoreRaw),
       sources: x.sources.slice(0, 6),
       series,
       related,
       links: makeLinks(x.term, geo, hl),
+      evidence: evidenceOut(x.evidence),
     };
   });
 
@@ -596,6 +1084,100 @@ const top = entries.slice(0, limit);
   };
 }
 
+/* -----------------------
+ * Recency decay (interestKR)
+ * weight = 0.5 ^ (age / halfLife), age > window 이면 제외. 발행시각이 없는 항목은 감쇠 없이(1.0) 반영
+ * tf 기본값은 RECENCY_DEFAULTS, env INTEREST_HALF_LIFE / INTEREST_RECENCY_WINDOW, query halfLife / window로 덮어쓰기
+ * ---------------------- */
+const RECENCY_DEFAULTS = {
+  hour: { halfLifeMs: 3 * 3600_000, windowMs: 24 * 3600_000 },
+  day: { halfLifeMs: 24 * 3600_000, windowMs: 7 * 86400_000 },
+  week: { halfLifeMs: 3.5 * 86400_000, windowMs: 30 * 86400_000 },
+  month: { halfLifeMs: 10 * 86400_000, windowMs: 90 * 86400_000 },
+};
+const AGE_BUCKETS = [
+  { label: '<1h', maxMs: 3600_000 },
+  { label: '1-6h', maxMs: 6 * 3600_000 },
+  { label: '6-24h', maxMs: 24 * 3600_000 },
+  { label: '1-3d', maxMs: 3 * 86400_000 },
+  { label: '3-7d', maxMs: 7 * 86400_000 },
+  { label: '7-30d', maxMs: 30 * 86400_000 },
+  { label: '30d+', maxMs: Infinity },
+];
+
+function makeRecency(tf, reqQuery, now = Date.now()) {
+  const def = RECENCY_DEFAULTS[tf] || RECENCY_DEFAULTS.hour;
+  const off = String(reqQuery.recency ?? process.env.INTEREST_RECENCY ?? '').toLowerCase() === 'off';
+  const halfLifeMs = parseDuration(reqQuery.halfLife ?? process.env.INTEREST_HALF_LIFE ?? '') || def.halfLifeMs;
+  const windowMs = Math.max(halfLifeMs, parseDuration(reqQuery.window ?? process.env.INTEREST_RECENCY_WINDOW ?? '') || def.windowMs);
+
+  const ages = [];
+  let dropped = 0;
+  let undated = 0;
+  const weigh = (it) => {
+    const t = it.pubDate ? Date.parse(it.pubDate) : NaN;
+    if (!Number.isFinite(t)) {
+      undated++;
+      return 1;
+    }
+    const age = Math.max(0, now - t); // 미래 시각(시계 오차)은 0으로
+    if (off) {
+      ages.push(age);
+      return 1;
+    }
+    if (age > windowMs) {
+      dropped++;
+      return 0;
+    }
+    ages.push(age);
+    return Math.pow(0.5, age / halfLifeMs);
+  };
+
+  const summary = () => {
+    const sorted = ages.slice().sort((a, b) => a - b);
+    const pct = (p) => (sorted.length ? Math.round(sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] / 60_000) : null);
+    const buckets = Object.fromEntries(AGE_BUCKETS.map((b) => [b.label, 0]));
+    for (const a of sorted) buckets[AGE_BUCKETS.find((b) => a < b.maxMs).label]++;
+    return {
+      enabled: !off,
+      halfLifeMs,
+      windowMs,
+      counted: ages.length,
+      dropped,
+      undated,
+      ageMinutes: { p10: pct(0.1), median: pct(0.5), p90: pct(0.9), max: sorted.length ? Math.round(sorted[sorted.length - 1] / 60_000) : null },
+      ageBuckets: buckets,
+    };
+  };
+
+  return { weigh, summary };
+}
+
+// 키워드별 근거 헤드라인: 기여도 내림차순 상위 EVIDENCE_KEEP개 (응답 시 evidence=N으로 다시 자름)
+const EVIDENCE_KEEP = 5;
+function evidenceOut(list) {
+  return (list || []).map(({ w, ...ev }) => ({ ...ev, contribution: Math.round(w) }));
+}
+function keepEvidence(list, ev, w) {
+  const key = ev.link || ev.headline || ev.title;
+  const hit = list.find((x) => (x.link || x.title) === key);
+  if (hit) {
+    if (w > hit.w) hit.w = w;
+  } else {
+    if (list.length >= EVIDENCE_KEEP && w <= list[list.length - 1].w) return;
+    list.push({
+      title: ev.headline || ev.title,
+      publisher: ev.publisher || null,
+      link: ev.link || null,
+      pubDate: ev.pubDate || null,
+      feed: ev.feed || '',
+      w,
+    });
+  }
+  list.sort((a, b) => b.w - a.w);
+  if (list.length > EVIDENCE_KEEP) list.length = EVIDENCE_KEEP;
+}
+
 function parseSeeds(seedsStr) {
   const s = String(seedsStr || '').trim();
   if (!s) return [];
@@ -632,10 +1214,10 @@ function buildGoogleNewsSearchRssUrl(seed, { geo, hl }) {
 }
 
 // deriveFromTitles (related only) - 가볍게
-function deriveFromTitlesForRelated(titles, hl) {
+function deriveFromTitlesForRelated(titles, hl, vocab = null) {
   const related = new Map();
   for (const title of (titles || []).slice(0, 2500)) {
-    const toks = tokenizeOrdered(title, hl);
+    const toks = tokenizeOrdered(title, hl, vocab);
     const uniqToks = Array.from(new Set(toks));
     for (let i = 0; i < uniqToks.length; i++) {
       const a = uniqToks[i];
@@ -691,6 +1273,7 @@ async function fromRedditRssOnly({ tf, geo, hl }) {
   const subs = subsEnv.split(',').map((s) => s.trim()).filter(Boolean).slice(0, 12);
 
   const titles = [];
+  const records = [];
   const errors = [];
 
   for (const sub of subs) {
@@ -704,8 +1287,11 @@ async function fromRedditRssOnly({ tf, geo, hl }) {
     });
 
     if (r.ok && r.text) {
-      const t = parseFeedTitles(r.text);
-      for (const x of t) titles.push(x);
+      for (const it of parseFeedItems(r.text, `reddit:${sub}`)) {
+        titles.push(it.title);
+        // reddit 제목의 " - "는 언론사 꼬리가 아님
+        records.push({ ...it, headline: it.title, publisher: `r/${sub}` });
+      }
     } else {
       errors.push({ sub, rssStatus: r.status });
     }
@@ -713,18 +1299,20 @@ async function fromRedditRssOnly({ tf, geo, hl }) {
 
   if (titles.length < 5) throw new Error('reddit RSS 결과 부족');
 
-  const { top, relatedList } = deriveFromTitles(titles, hl, 80);
+  const { top, relatedList } = deriveFromTitles(titles, hl, 80, records);
 
-  const items = top.map(({ term, count }) => {
+  const items = top.map(({ term, canonical, count, evidence }) => {
     const base = Math.max(25, count * 18);
     const series = synthSeries(n, base);
     return {
       term,
+      canonical,
       scoreRaw: base,
       grade: 0,
       series,
-      related: relatedList(term).slice(0, 8),
+      related: relatedList(canonical).slice(0, 8),
       links: makeLinks(term, geo, hl),
+      evidence: evidenceOut(evidence),
     };
   });
 
@@ -742,8 +1330,33 @@ async function fromRedditRssOnly({ tf, geo, hl }) {
   };
 }
 
+/* -----------------------
+ * YouTube key pool
+ * YT_KEY / YOUTUBE_API_KEY 콤마 구분 다중 키. 키 선택/소진 표시/일일 장부는 youtube_analyzer와 같은
+ * 공용 모듈(_yt_key_pool.js)을 써서 같은 ledger store(YT_LEDGER_STORE)에 기록 -> action=quota에 합산
+ * ---------------------- */
+function ytKeyList() {
+  return parseKeyList(process.env.YT_KEY || process.env.YOUTUBE_API_KEY || '');
+}
+// 사용량 적은 키부터, quotaExceeded면 소진 표시 후 다음 키
+async function fetchYouTubeWithPool(url, keys, unitCost) {
+  const pool = makeKeyPool(keys);
+  let last = null;
+  let units = 0;
+  for (;;) {
+    url.searchParams.set('key', pool.key());
+    pool.charge(unitCost);
+    units += unitCost;
+    const r = await fetchJson(url.toString(), { timeoutMs: 9000 });
+    if (r.ok && r.json) return { ...r, units, store: pool.store, keySlot: pool.slot(), key: maskKey(pool.key()) };
+    last = r;
+    if (!/quotaExceeded|dailyLimitExceeded/.test(r.text || '') || !pool.rotate()) break;
+  }
+  throw new Error('YouTube fetch 실패: ' + (last ? last.status : 'no key'));
+}
+
 // YouTube MostPopular
-async function fromYouTubeMostPopular({ tf, geo, hl, key }) {
+async function fromYouTubeMostPopular({ tf, geo, hl, keys }) {
   const n = bucketCount(tf);
 
   const url = new URL('https://www.googleapis.com/youtube/v3/videos');
@@ -751,23 +1364,32 @@ async function fromYouTubeMostPopular({ tf, geo, hl, key }) {
   url.searchParams.set('chart', 'mostPopular');
   url.searchParams.set('maxResults', '50');
   url.searchParams.set('regionCode', geo || 'KR');
-  url.searchParams.set('key', key);
 
-  const r = await fetchJson(url.toString(), { timeoutMs: 9000 });
-  if (!r.ok || !r.json) throw new Error('YouTube fetch 실패: ' + r.status);
-
-  const titles = (r.json.items || []).map((it) => String(it?.snippet?.title || '')).filter(Boolean);
-  const { top, relatedList } = deriveFromTitles(titles, hl, 120);
-
-  const items = top.map(({ term, count }) => {
+  // videos.list = 1 unit
+  const r = await fetchYouTubeWithPool(url, keys, 1);
+
+  const videos = (r.json.items || []).filter((it) => it?.snippet?.title);
+  const titles = videos.map((it) => String(it.snippet.title));
+  const records = videos.map((it) => ({
+    title: String(it.snippet.title),
+    publisher: it.snippet.channelTitle || null,
+    link: it.id ? `https://www.youtube.com/watch?v=${encodeURIComponent(it.id)}` : null,
+    pubDate: toIsoDate(it.snippet.publishedAt),
+    feed: 'youtube:mostPopular',
+  }));
+  const { top, relatedList } = deriveFromTitles(titles, hl, 120, records);
+
+  const items = top.map(({ term, canonical, count, evidence }) => {
     const base = Math.max(30, count * 22);
     const series = synthSeries(n, base);
     return {
       term,
+      canonical,
       series,
       scoreRaw: base,
-      related: relatedList(term).slice(0, 8),
+      related: relatedList(canonical).slice(0, 8),
       links: makeLinks(term, geo, hl),
+      evidence: evidenceOut(evidence),
     };
   });
 
@@ -780,6 +1402,7 @@ async function fromYouTubeMostPopular({ tf, geo, hl, key }) {
       keywordsAreLive: true,
       seriesIsSynthetic: true,
       note: 'YouTube MostPopular 제목 토큰 기반',
+      quota: { units: r.units, keySlot: r.keySlot, key: r.key, store: r.store },
       fetchedAt: nowIso(),
     },
   };
@@ -794,18 +1417,24 @@ async function fromGoogleTrendsRss({ tf, geo, hl, cat }) {
   const r = await fetchText(url, { timeoutMs: 9000, headers: { 'User-Agent': 'trends-proxy/1.0' } });
   if (!r.ok || !r.text) throw new Error('Google Trends RSS fetch 실패: ' + r.status);
 
-  const terms = parseFeedTitles(r.text).slice(0, 120);
-  if (terms.length < 3) throw new Error('trends rss 파싱 실패');
+  const records = parseFeedItems(r.text, 'trends').slice(0, 120);
+  if (records.length < 3) throw new Error('trends rss 파싱 실패');
 
-  const items = terms.map((term, idx) => {
+  const items = records.map((it, idx) => {
+    const term = it.title;
     const base = Math.max(30, 220 - idx * 2 + Math.floor(Math.random() * 10));
     const series = synthSeries(n, base);
+    // 근거: 트렌드 항목에 실린 관련 기사(ht:news_item), 없으면 항목 자체
+    const evidence = [];
+    const evs = it.newsItems ? it.newsItems.map((x) => ({ ...x, pubDate: it.pubDate, feed: it.feed })) : [it];
+    for (const ev of evs) keepEvidence(evidence, ev, base);
     return {
       term,
       series,
       scoreRaw: base,
       related: [],
       links: makeLinks(term, geo, hl),
+      evidence: evidenceOut(evidence),
     };
   });
 
@@ -833,20 +1462,22 @@ async function fromGoogleNewsRss({ tf, geo, hl }) {
   const r = await fetchText(url, { timeoutMs: 9000, headers: { 'User-Agent': 'trends-proxy/1.0' } });
   if (!r.ok || !r.text) throw new Error('Google News RSS fetch 실패: ' + r.status);
 
-  const titlesRaw = parseFeedTitles(r.text).slice(0, 200);
-  const titles = titlesRaw.map((t) => String(t).split(' - ')[0]);
+  const records = parseFeedItems(r.text, 'newsHome').slice(0, 200);
+  const titles = records.map((it) => it.headline);
 
-  const { top, relatedList } = deriveFromTitles(titles, hl, 120);
+  const { top, relatedList } = deriveFromTitles(titles, hl, 120, records);
 
-  const items = top.map(({ term, count }) => {
+  const items = top.map(({ term, canonical, count, evidence }) => {
     const base = Math.max(30, count * 25);
     const series = synthSeries(n, base);
     return {
       term,
+      canonical,
       series,
       scoreRaw: base,
-      related: relatedList(term).slice(0, 8),
+      related: relatedList(canonical).slice(0, 8),
       links: makeLinks(term, geo, hl),
+      evidence: evidenceOut(evidence),
     };
   });
 
@@ -870,18 +1501,28 @@ async function fromHackerNews({ tf, geo, hl }) {
   const r = await fetchJson('https://hn.algolia.com/api/v1/search_by_date?tags=story&hitsPerPage=80', { timeoutMs: 9000 });
   if (!r.ok || !r.json) throw new Error('HN fetch 실패: ' + r.status);
 
-  const titles = (r.json.hits || []).map((h) => String(h?.title || '')).filter(Boolean);
-  const { top, relatedList } = deriveFromTitles(titles, 'en', 120);
-
-  const items = top.map(({ term, count }) => {
+  const hits = (r.json.hits || []).filter((h) => h?.title);
+  const titles = hits.map((h) => String(h.title));
+  const records = hits.map((h) => ({
+    title: String(h.title),
+    publisher: 'Hacker News',
+    link: h.url || (h.objectID ? `https://news.ycombinator.com/item?id=${h.objectID}` : null),
+    pubDate: toIsoDate(h.created_at),
+    feed: 'hackernews',
+  }));
+  const { top, relatedList } = deriveFromTitles(titles, 'en', 120, records);
+
+  const items = top.map(({ term, canonical, count, evidence }) => {
     const base = Math.max(30, count * 20);
     const series = synthSeries(n, base);
     return {
       term,
+      canonical,
       series,
       scoreRaw: base,
-      related: relatedList(term).slice(0, 8),
+      related: relatedList(canonical).slice(0, 8),
       links: makeLinks(term, geo, hl),
+      evidence: evidenceOut(evidence),
     };
   });
 
@@ -900,13 +1541,28 @@ async function fromHackerNews({ tf, geo, hl }) {
 }
 
 // deriveFromTitles (existing)
-function deriveFromTitles(titles, hl, maxTerms = 80) {
+// records[i](선택): titles[i]의 원본 항목 { title, publisher, link, pubDate, feed } -> 용어별 evidence
+// (앞쪽 항목일수록 기여도가 큼: 피드/목록 순서 = 노출 순서)
+function deriveFromTitles(titles, hl, maxTerms = 80, records = null) {
   const freq = new Map();
   const related = new Map();
-
-  for (const title of titles) {
-    const toks = Array.from(new Set(tokenizeOrdered(title, hl)));
-    for (const t of toks) freq.set(t, (freq.get(t) || 0) + 1);
+  const surfaces = new Map(); // 정규형 -> Map(표면형 -> 빈도)
+  const evidence = new Map(); // 정규형 -> keepEvidence 목록
+  const L = Math.max(1, titles.length);
+  const vocab = koVocab(titles);
+
+  for (let ti = 0; ti < titles.length; ti++) {
+    const keyed = tokenizeKeyed(titles[ti], hl, vocab);
+    const toks = keyed.map((t) => t.key);
+    for (const t of keyed) {
+      freq.set(t.key, (freq.get(t.key) || 0) + 1);
+      if (!surfaces.has(t.key)) surfaces.set(t.key, new Map());
+      addSurface(surfaces.get(t.key), t.surface);
+      if (records && records[ti]) {
+        if (!evidence.has(t.key)) evidence.set(t.key, []);
+        keepEvidence(evidence.get(t.key), records[ti], (100 * (L - ti)) / L);
+      }
+    }
 
     for (let i = 0; i < toks.length; i++) {
       const a = toks[i];
@@ -923,22 +1579,26 @@ function deriveFromTitles(titles, hl, maxTerms = 80) {
   const top = Array.from(freq.entries())
     .sort((x, y) => y[1] - x[1])
     .slice(0, maxTerms)
-    .map(([term, count]) => ({ term, count }));
+    .map(([key, count]) => ({ term: display(key), canonical: key, count, evidence: evidence.get(key) || [] }));
 
+  // 정규형/표시형 어느 쪽으로 물어도 되고, 결과는 표시형
+  function display(key) {
+    return surfaces.has(key) ? topSurface(surfaces.get(key), key) : key;
+  }
   const relatedList = (term) => {
-    const m = related.get(term);
+    const m = related.get(term) || related.get(normalizeKoWord(term, vocab));
     if (!m) return [];
     return Array.from(m.entries())
       .sort((a, b) => b[1] - a[1])
       .slice(0, 10)
-      .map(([t]) => t);
+      .map(([t]) => display(t));
   };
 
   return { top, relatedList };
 }
 
 /* -----------------------
- * Display-only synthetic series
+ * Display-only synthetic series (history가 없을 때의 fallback)
  * ---------------------- */
 function synthSeries(n, base) {
   const slope = (Math.random() - 0.5) * 0.9;
@@ -1,7 +1,11 @@
 // /api/youtube_analyzer.js
 // Vercel Serverless Function (YouTube Data API v3 proxy)
 // - Does NOT generate insights. Only fetches data.
-// - Uses env: YOUTUBE_API_KEY
+// - Uses env: YOUTUBE_API_KEY (one key or a comma-separated pool)
+// - Date windows (from/to): bare YYYY-MM-DD dates are whole days in tz (default Asia/Seoul; IANA name or +09:00; an unencoded + arriving as a space still reads as +)
+// - Quota ledger: YT_LEDGER_STORE=memory|file (YT_LEDGER_FILE, default /tmp/yt_quota_ledger.json), see _yt_key_pool.js
+
+import { parseKeyList, pacificDay, makeKeyPool, quotaStatus } from "./_yt_key_pool.js";
 
 export default async function handler(req, res) {
   // CORS
@@ -19,74 +23,234 @@ export default async function handler(req, res) {
         ok: true,
         version: "YA-OptionA-Fix-v4",
         time: new Date().toISOString(),
-        keyConfigured: !!process.env.YOUTUBE_API_KEY
+        keyConfigured: parseKeyList(process.env.YOUTUBE_API_KEY).length > 0,
+        keyCount: parseKeyList(process.env.YOUTUBE_API_KEY).length
       });
     }
 
-    const key = process.env.YOUTUBE_API_KEY;
-    if (!key) {
+    const keys = parseKeyList(process.env.YOUTUBE_API_KEY);
+    if (!keys.length) {
       return res.status(500).json({
-        error: { message: "서버에 YOUTUBE_API_KEY가 설정되지 않았습니다. Vercel Environment Variables를 확인하세요." }
+        error: { code: "key_missing", message: "서버에 YOUTUBE_API_KEY가 설정되지 않았습니다. Vercel Environment Variables를 확인하세요." }
+      });
+    }
+    const pool = makeKeyPool(keys);
+
+    // Server-side daily ledger (does not call YouTube API)
+    if (action === "quota") {
+      return res.status(200).json(quotaStatus(pool));
+    }
+
+    // Comment threads for one video (commentThreads.list = 1u/100 comments)
+    if (action === "comments") {
+      const videoId = parseVideoIdInput((req.query.videoId || req.query.input || "").toString());
+      if (!videoId) {
+        return res.status(400).json({ error: { code: "bad_request", message: "videoId is required" } });
+      }
+      const quota = makeQuotaTracker(pool);
+      const out = await fetchCommentThreads(videoId, quota, {
+        max: clampInt(req.query.max, 200, 1, 1000),
+        order: (req.query.order || "relevance").toString() === "time" ? "time" : "relevance"
       });
+      return res.status(200).json(Object.assign({ videoId }, out, { quota: quota.summary() }));
     }
 
-    const input = (req.query.input || "").toString().trim();
+    const input = (req.query.input || req.query.q || "").toString().trim();
+    const inputType = (req.query.inputType || "auto").toString().trim().toLowerCase();
     const max = clampInt(req.query.max, 50, 1, 500);
     const days = clampInt(req.query.days, 30, 0, 3650);
+    // Playlists are curated (series, compilations): the days cutoff applies only when days is sent explicitly
+    const playlistDays = (req.query.days ?? "").toString().trim() === "" ? 0 : days;
     const region = (req.query.region || "KR").toString().trim() || "KR";
     const lang = (req.query.lang || "ko").toString().trim() || "ko";
     const allowSearchFallback = (req.query.allowSearchFallback || "1").toString() === "1";
     const lite = (req.query.lite || "0").toString() === "1";
+    // Absolute upload-date window (overrides days); from/to are dates (YYYY-MM-DD, inclusive) or ISO.
+    // Bare dates are whole days in tz (IANA name or +09:00 style offset, default Asia/Seoul like the analyzer UI)
+    const range = parseDateRange(req.query.from, req.query.to, req.query.tz);
+    if (range && range.error) {
+      return res.status(400).json({ error: { code: "bad_request", message: range.error } });
+    }
+    const pageBudget = clampInt(req.query.pageBudget, 40, 1, 200);
+    // Shorts verification via youtube.com/shorts/{id} (no API units)
+    const verifyShorts = (req.query.verifyShorts || "0").toString() === "1";
+    // Incremental refresh (channel uploads only): the client sends what it already has
+    const incremental = (req.query.incremental || "0").toString() === "1";
 
     if (!input) {
-      return res.status(400).json({ error: { message: "input is required" } });
+      return res.status(400).json({ error: { code: "bad_request", message: "input is required" } });
+    }
+    // Lite has no statistics to refresh, so the delta flow would only re-pull snippets
+    if (incremental && lite) {
+      return res.status(400).json({ error: { code: "bad_request", message: "incremental=1은 lite=1과 함께 쓸 수 없습니다" } });
+    }
+
+    // Predicted unit cost of a bundle/search request (does not call YouTube API)
+    if (action === "estimate") {
+      const est = estimateCost(input, inputType, {
+        max, days, lite, allowSearchFallback, range, pageBudget,
+        incremental, refreshDays: clampInt(req.query.refreshDays, 7, 0, 90)
+      });
+      return res.status(200).json(Object.assign(est, { ledger: quotaStatus(pool) }));
     }
 
-    const quota = makeQuotaTracker();
+    const quota = makeQuotaTracker(pool);
 
-    // 1) Resolve channel (id + uploads playlist)
-    const channelResolved = await resolveChannel(input, key, allowSearchFallback, quota);
-    if (!channelResolved) {
-      return res.status(404).json({ error: { message: "채널을 찾지 못했습니다. 입력값(URL/@handle/UC...)을 확인하세요." } });
+    // Keyword search: cross-channel videos for a phrase (search.list = 100u/page)
+    if (action === "search") {
+      const out = await searchBundle(input, quota, {
+        max: Math.min(max, 200),
+        days,
+        region,
+        lang,
+        lite,
+        order: (req.query.order || "relevance").toString(),
+        verifyShorts
+      });
+      return res.status(200).json(out);
     }
 
-    // 2) Fetch videos from uploads playlist (cheap)
-    const videoIds = await fetchUploadsVideoIds(channelResolved.uploadsPlaylistId, key, max, days, quota);
+    const kind = detectInputKind(input, inputType);
+
+    // 1) Resolve source -> video IDs
+    //    channel: uploads playlist (newest first)
+    //    playlist: any playlist (curated order, so no early stop on old items)
+    //    videos: explicit URL/ID list (no paging at all)
+    let channelResolved = null;
+    let playlist = null;
+    let videoIds = [];
+    let delta = null;
+    let windowStats = null;
+    if (kind === "videos") {
+      videoIds = parseVideoIdsInput(input).slice(0, max);
+      if (!videoIds.length) {
+        return res.status(400).json({ error: { code: "bad_request", message: "영상 URL/ID를 찾지 못했습니다. 쉼표나 줄바꿈으로 구분해 입력하세요." } });
+      }
+    } else if (kind === "playlist") {
+      playlist = await playlistById(parsePlaylistInput(input), quota);
+      if (!playlist) {
+        return res.status(404).json({ error: { code: "playlist_not_found", message: "재생목록을 찾지 못했습니다. 입력값(URL/PL...)을 확인하세요." } });
+      }
+      if (range) {
+        windowStats = await fetchUploadsRange(playlist.id, quota, { from: range.from, to: range.to, max, pageBudget, newestFirst: false });
+        videoIds = windowStats.ids;
+      } else {
+        videoIds = await fetchUploadsVideoIds(playlist.id, max, playlistDays, quota, { newestFirst: false, maxPages: Math.ceil(max / 50) + 20 });
+      }
+    } else {
+      channelResolved = await resolveChannel(input, allowSearchFallback, quota);
+      if (!channelResolved) {
+        return res.status(404).json({ error: { code: "channel_not_found", message: "채널을 찾지 못했습니다. 입력값(URL/@handle/UC...)을 확인하세요." } });
+      }
+      // 2) Fetch videos from uploads playlist (cheap)
+      //    incremental: stop at known videos, re-pull stats only for the recent window
+      if (range) {
+        windowStats = await fetchUploadsRange(channelResolved.uploadsPlaylistId, quota, { from: range.from, to: range.to, max, pageBudget });
+        videoIds = windowStats.ids;
+      } else if (incremental) {
+        delta = await fetchUploadsDelta(channelResolved.uploadsPlaylistId, quota, {
+          known: new Set(parseVideoIdsInput((req.query.known || "").toString())),
+          since: Date.parse((req.query.since || "").toString()) || 0,
+          refreshCutoff: Date.now() - clampInt(req.query.refreshDays, 7, 0, 90) * 86400000,
+          max,
+          days,
+          maxPages: Math.ceil(max / 50)
+        });
+        videoIds = delta.newIds.concat(delta.refreshedIds);
+      } else {
+        videoIds = await fetchUploadsVideoIds(channelResolved.uploadsPlaylistId, max, days, quota);
+      }
+    }
 
     // 3) Fetch video details
+    //    A failure after some chunks (quota/timeout) returns what we have + pendingVideoIds,
+    //    so the analyzer can resume with inputType=videos instead of starting over.
     let videos = [];
+    let partial = null;
     if (videoIds.length) {
-      if (lite) {
-        // Lite: only snippet (no stats/duration)
-        videos = await fetchVideoDetails(videoIds, key, quota, { parts: ["snippet"], lite: true });
-      } else {
-        videos = await fetchVideoDetails(videoIds, key, quota, { parts: ["snippet","contentDetails","statistics"], lite: false });
+      try {
+        if (lite) {
+          // Lite: only snippet (no stats/duration)
+          videos = await fetchVideoDetails(videoIds, quota, { parts: ["snippet"], lite: true });
+        } else {
+          videos = await fetchVideoDetails(videoIds, quota, { parts: VIDEO_PARTS, lite: false });
+        }
+      } catch (e) {
+        if (!e.partialItems || !e.partialItems.length) throw e;
+        videos = e.partialItems;
+        partial = { error: errorBody(e), pendingVideoIds: e.pendingIds || [] };
       }
     }
 
-    // 4) Category mapping
+    // 4) Category mapping (best effort once we're already partial)
     let categoryMap = {};
     if (!lite) {
-      categoryMap = await fetchCategoryMap(region, key, quota);
+      categoryMap = partial
+        ? await fetchCategoryMap(region, quota).catch(() => ({}))
+        : await fetchCategoryMap(region, quota);
     }
 
     // 5) Normalize output
     const outVideos = videos.map(v => normalizeVideo(v, categoryMap, lite));
-    const outChannel = normalizeChannel(channelResolved.channel);
-
-    return res.status(200).json({
-      channel: outChannel,
+    if (verifyShorts) await attachShortsVerification(outVideos);
+    const out = {
+      channel: null,
       videos: outVideos,
       categoryMap,
-      quota: quota.summary()
-    });
+      source: { type: kind },
+      quota: null
+    };
+    if (channelResolved) {
+      out.channel = normalizeChannel(channelResolved.channel);
+    } else {
+      // playlist/videos: owner channel(s) looked up in one cheap batch
+      const ownerIds = kind === "playlist"
+        ? [playlist.snippet && playlist.snippet.channelId]
+        : outVideos.map(v => v.channelId);
+      const owners = channelsByIds(uniq(ownerIds.filter(Boolean)), quota);
+      const channels = (partial ? await owners.catch(() => []) : await owners).map(normalizeChannel);
+      out.channels = channels;
+      out.channel = channels.length === 1 ? channels[0] : collectionChannel(channels, outVideos);
+    }
+    if (kind === "playlist") {
+      out.source.playlist = normalizePlaylist(playlist);
+    }
+    if (kind === "videos") {
+      const found = new Set(outVideos.map(v => v.videoId));
+      out.source.requested = videoIds.length;
+      out.source.missingIds = videoIds.filter(id => !found.has(id));
+    }
+    if (windowStats) {
+      out.source.window = {
+        tz: range.tz,
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        pages: windowStats.pages,
+        pageBudget,
+        scanned: windowStats.scanned,
+        matched: windowStats.ids.length,
+        newestSeen: windowStats.newestSeen,
+        oldestSeen: windowStats.oldestSeen,
+        covered: windowStats.covered,
+        truncated: windowStats.truncated
+      };
+    }
+    if (delta) {
+      out.incremental = {
+        since: (req.query.since || "").toString(),
+        refreshDays: clampInt(req.query.refreshDays, 7, 0, 90),
+        newIds: delta.newIds,
+        refreshedIds: delta.refreshedIds,
+        truncated: delta.truncated
+      };
+    }
+    if (partial) out.partial = partial;
+    out.quota = quota.summary();
+
+    return res.status(200).json(out);
 
   } catch (err) {
-    return res.status(500).json({
-      error: {
-        message: String(err && (err.message || err) || "Unknown error")
-      }
-    });
+    return res.status((err && err.code && err.status) || 500).json({ error: errorBody(err) });
   }
 }
 
@@ -97,38 +261,177 @@ function clampInt(v, dflt, min, max){
   return Math.max(min, Math.min(max, n));
 }
 
-function makeQuotaTracker(){
+// Units are attributed to whichever pool key served the call.
+function makeQuotaTracker(pool){
   const breakdown = [];
   let units = 0;
   const add = (u, name) => {
     units += u;
-    breakdown.push({ endpoint: name, units: u });
+    pool.charge(u);
+    breakdown.push({ endpoint: name, units: u, keySlot: pool.slot() });
   };
   return {
     add,
+    pool,
     summary: () => ({
       estimatedUnitsThisCall: units,
-      breakdown
+      breakdown,
+      day: pacificDay(),
+      keys: pool.summary()
     })
   };
 }
 
+// ---------- Cost estimate ----------
+// Mirrors the bundle/search flow call by call without touching YouTube.
+// min assumes early stops (days cutoff, short playlists); max is the page/chunk budget.
+// Channel lookups include the search.list fallback (0~1) whenever it is allowed, and incremental=1
+// models the delta flow (known videos stop paging, only new + refreshDays videos get details).
+function estimateCost(input, inputType, opts){
+  const lines = [];
+  const add = (endpoint, unitsEach, minCalls, maxCalls, note) => {
+    lines.push({ endpoint, unitsEach, calls: { min: minCalls, max: maxCalls }, units: { min: unitsEach * minCalls, max: unitsEach * maxCalls }, note: note || "" });
+  };
+  const pages = Math.ceil(opts.max / 50);
+  const detailParts = opts.lite ? "snippet" : VIDEO_PARTS.join(",");
+  let kind;
+
+  if (inputType === "search") {
+    kind = "search";
+    const max = Math.min(opts.max, 200);
+    add("search.list", 100, 1, Math.ceil(max / 50), "키워드 검색 50개/페이지");
+    add("videos.list", 1, 1, Math.ceil(max / 50), detailParts);
+    add("channels.list", 1, 1, Math.ceil(max / 50), "검색 결과 채널 묶음");
+  } else {
+    kind = detectInputKind(input, inputType);
+    if (kind === "videos") {
+      const n = Math.min(parseVideoIdsInput(input).length, opts.max);
+      add("videos.list", 1, Math.ceil(n / 50), Math.ceil(n / 50), n + "개 영상, " + detailParts);
+      add("channels.list", 1, n ? 1 : 0, Math.ceil(n / 50), "영상 소유 채널");
+    } else if (kind === "playlist") {
+      add("playlists.list", 1, 1, 1);
+      add("playlistItems.list", 1, 1, opts.range ? opts.pageBudget : pages + 20, "재생목록 순서라 기간 조건으로 일찍 멈추지 않음");
+      add("videos.list", 1, 1, pages, detailParts);
+      add("channels.list", 1, 1, pages, "영상 소유 채널");
+    } else {
+      const parsed = parseChannelInput(input);
+      const fallback = opts.allowSearchFallback;
+      if (parsed.type === "id") {
+        add("channels.list", 1, 1, 1);
+        if (fallback) add("search.list(channel)", 100, 0, 1, "채널 ID 조회 실패 시 검색 폴백");
+        if (fallback) add("channels.list", 1, 0, 1);
+      } else if (parsed.type === "handle") {
+        add("channels.list(forHandle)", 1, 1, 1);
+        if (fallback) add("search.list(channel)", 100, 0, 1, "핸들 조회 실패 시 검색 폴백");
+        if (fallback) add("channels.list", 1, 0, 1);
+      } else if (fallback) {
+        add("search.list(channel)", 100, 1, 1, "채널명 검색 폴백 (URL/@핸들/UC… 입력 시 0)");
+        add("channels.list", 1, 1, 1);
+      }
+      // incremental: new uploads stop at the first known video, then the refreshDays window is re-pulled.
+      // New + refreshed videos are capped at `max` together, so both stay within the normal page count.
+      const incremental = opts.incremental && !opts.range;
+      if (opts.range) add("playlistItems.list", 1, 1, opts.pageBudget, "기간 창을 지날 때까지 페이지 예산(" + opts.pageBudget + ") 안에서 탐색");
+      else if (incremental) add("playlistItems.list(incremental)", 1, 1, pages, "새 업로드 + 최근 " + opts.refreshDays + "일 영상까지만 탐색 (합쳐서 최대 " + opts.max + "개)");
+      else add("playlistItems.list", 1, 1, pages, opts.days > 0 ? "기간(" + opts.days + "일) 밖이면 일찍 멈춤" : "");
+      if (incremental) add("videos.list", 1, 0, pages, "새 영상 + 통계 재조회 영상만, " + detailParts);
+      else add("videos.list", 1, 1, pages, detailParts);
+    }
+  }
+  if (!opts.lite) add("videoCategories.list", 1, 1, 1);
+
+  return {
+    kind,
+    incremental: !!(opts.incremental && kind === "channel" && !opts.range),
+    units: {
+      min: lines.reduce((a, l) => a + l.units.min, 0),
+      max: lines.reduce((a, l) => a + l.units.max, 0)
+    },
+    breakdown: lines
+  };
+}
+
 function ytUrl(path){
   return "https://www.googleapis.com/youtube/v3/" + path;
 }
 
+// Timeout per attempt + exponential backoff with jitter for retryable failures.
+// Every attempt is counted in quota (YouTube bills failed requests too).
+// quotaExceeded rotates to the next pool key without using up a retry.
+const YT_TIMEOUT_MS = clampInt(process.env.YT_TIMEOUT_MS, 8000, 1000, 30000);
+const YT_MAX_RETRIES = clampInt(process.env.YT_MAX_RETRIES, 2, 0, 5);
+
 async function ytFetchJson(url, quota, unitCost, endpointName){
-  quota.add(unitCost, endpointName);
-  const resp = await fetch(url);
-  const data = await resp.json().catch(()=> ({}));
-  if (!resp.ok) {
-    const msg = data && data.error && data.error.message ? data.error.message : ("HTTP "+resp.status);
-    const e = new Error(msg);
-    e.status = resp.status;
-    e.data = data;
-    throw e;
+  let attempt = 0;
+  for (;;) {
+    quota.add(unitCost, attempt ? endpointName + " (retry " + attempt + ")" : endpointName);
+    let err;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), YT_TIMEOUT_MS);
+    try {
+      const resp = await fetch(url + "&key=" + encodeURIComponent(quota.pool.key()), { signal: controller.signal });
+      const data = await resp.json().catch(()=> ({}));
+      if (resp.ok) return data;
+      err = classifyYtError(resp.status, data);
+    } catch (e) {
+      err = (e && e.name === "AbortError")
+        ? ytError("upstream_timeout", "YouTube API 응답 시간 초과 (" + YT_TIMEOUT_MS + "ms)", { status: 504, retryable: true })
+        : ytError("network_error", "YouTube API 연결 실패: " + String(e && e.message || e), { status: 502, retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+    err.endpoint = endpointName;
+    if (err.code === "quota_exceeded" && quota.pool.rotate()) continue;
+    if (!err.retryable || attempt >= YT_MAX_RETRIES) throw err;
+    await sleep(backoffMs(attempt));
+    attempt++;
   }
-  return data;
+}
+
+function backoffMs(attempt){
+  const base = 400 * Math.pow(2, attempt);
+  return Math.round(base / 2 + Math.random() * base);
+}
+
+function sleep(ms){
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// ---------- Errors ----------
+// Stable error.code values in the JSON body; the analyzer maps them to actionable messages.
+function ytError(code, message, extra){
+  const e = new Error(message);
+  e.code = code;
+  return Object.assign(e, extra || {});
+}
+
+function classifyYtError(status, data){
+  const err = (data && data.error) || {};
+  const reason = (err.errors && err.errors[0] && err.errors[0].reason) || "";
+  const message = err.message || ("HTTP " + status);
+  const extra = { status, reason, data };
+  if (reason === "quotaExceeded" || reason === "dailyLimitExceeded") return ytError("quota_exceeded", message, extra);
+  if (reason === "rateLimitExceeded" || reason === "userRateLimitExceeded" || status === 429) return ytError("rate_limited", message, Object.assign(extra, { retryable: true }));
+  if (reason === "keyInvalid" || reason === "keyExpired" || /API key not valid/i.test(message)) return ytError("key_invalid", message, extra);
+  if (reason === "accessNotConfigured" || reason === "ipRefererBlocked" || reason === "forbidden" && /API key/i.test(message)) return ytError("key_restricted", message, extra);
+  if (reason === "channelNotFound") return ytError("channel_not_found", message, extra);
+  if (reason === "playlistNotFound") return ytError("playlist_not_found", message, extra);
+  if (reason === "videoNotFound") return ytError("video_not_found", message, extra);
+  if (reason === "commentsDisabled") return ytError("comments_disabled", message, extra);
+  if (status >= 500) return ytError("upstream_error", message, Object.assign(extra, { retryable: true }));
+  if (status === 404) return ytError("not_found", message, extra);
+  if (status === 400) return ytError("bad_request", message, extra);
+  return ytError("upstream_error", message, extra);
+}
+
+function errorBody(err){
+  return {
+    code: (err && err.code) || "server_error",
+    message: String(err && (err.message || err) || "Unknown error"),
+    reason: (err && err.reason) || "",
+    endpoint: (err && err.endpoint) || "",
+    retryable: !!(err && err.retryable)
+  };
 }
 
 // ---------- Resolve channel ----------
@@ -165,18 +468,18 @@ function parseChannelInput(input){
   return { type:"query", value: s };
 }
 
-async function resolveChannel(input, key, allowSearchFallback, quota){
+async function resolveChannel(input, allowSearchFallback, quota){
   const parsed = parseChannelInput(input);
 
   // Try direct by id
   if (parsed.type === "id") {
-    const ch = await channelsById(parsed.value, key, quota);
+    const ch = await channelsById(parsed.value, quota);
     if (ch) return ch;
   }
 
   // Try forHandle
   if (parsed.type === "handle") {
-    const ch = await channelsByHandle(parsed.value.replace(/^@/,""), key, quota);
+    const ch = await channelsByHandle(parsed.value.replace(/^@/,""), quota);
     if (ch) return ch;
   }
 
@@ -184,13 +487,13 @@ async function resolveChannel(input, key, allowSearchFallback, quota){
   if (!allowSearchFallback) return null;
 
   const q = (parsed.value || "").replace(/^@/,"");
-  const foundId = await searchChannelId(q, key, quota);
+  const foundId = await searchChannelId(q, quota);
   if (!foundId) return null;
-  return await channelsById(foundId, key, quota);
+  return await channelsById(foundId, quota);
 }
 
-async function channelsById(channelId, key, quota){
-  const url = ytUrl("channels?part=snippet,contentDetails,statistics&id="+encodeURIComponent(channelId)+"&key="+encodeURIComponent(key));
+async function channelsById(channelId, quota){
+  const url = ytUrl("channels?part=snippet,contentDetails,statistics&id="+encodeURIComponent(channelId));
   const data = await ytFetchJson(url, quota, 1, "channels.list");
   const item = data.items && data.items[0];
   if (!item) return null;
@@ -198,9 +501,9 @@ async function channelsById(channelId, key, quota){
   return { channel: item, uploadsPlaylistId: uploads };
 }
 
-async function channelsByHandle(handle, key, quota){
+async function channelsByHandle(handle, quota){
   // channels.list supports forHandle (if enabled in API)
-  const url = ytUrl("channels?part=snippet,contentDetails,statistics&forHandle="+encodeURIComponent(handle)+"&key="+encodeURIComponent(key));
+  const url = ytUrl("channels?part=snippet,contentDetails,statistics&forHandle="+encodeURIComponent(handle));
   try{
     const data = await ytFetchJson(url, quota, 1, "channels.list(forHandle)");
     const item = data.items && data.items[0];
@@ -208,31 +511,205 @@ async function channelsByHandle(handle, key, quota){
     const uploads = item.contentDetails && item.contentDetails.relatedPlaylists ? item.contentDetails.relatedPlaylists.uploads : null;
     return { channel: item, uploadsPlaylistId: uploads };
   }catch(e){
-    // If forHandle unsupported or 400, fallback to search (costly) handled by caller
-    return null;
+    // If forHandle unsupported or 400, fallback to search (costly) handled by caller.
+    // Quota/key/timeout failures would fail the search too, so surface them.
+    if (e.code === "bad_request" || e.code === "not_found" || e.code === "channel_not_found") return null;
+    throw e;
+  }
+}
+
+async function channelsByIds(channelIds, quota){
+  const out = [];
+  for (const c of chunk(channelIds, 50)) {
+    const url = ytUrl("channels?part=snippet,contentDetails,statistics&id="+encodeURIComponent(c.join(",")));
+    const data = await ytFetchJson(url, quota, 1, "channels.list");
+    for (const it of (data.items || [])) out.push(it);
   }
+  return out;
 }
 
-async function searchChannelId(query, key, quota){
-  const url = ytUrl("search?part=snippet&type=channel&maxResults=1&q="+encodeURIComponent(query)+"&key="+encodeURIComponent(key));
+async function searchChannelId(query, quota){
+  const url = ytUrl("search?part=snippet&type=channel&maxResults=1&q="+encodeURIComponent(query));
   const data = await ytFetchJson(url, quota, 100, "search.list(channel)");
   const item = data.items && data.items[0];
   if (!item || !item.snippet || !item.snippet.channelId) return null;
   return item.snippet.channelId;
 }
 
+// ---------- Resolve playlist / video list ----------
+// inputType: auto | channel | playlist | videos
+function detectInputKind(input, inputType){
+  if (inputType === "channel" || inputType === "playlist" || inputType === "videos") return inputType;
+
+  // watch?v=...&list=... is a single video, not the playlist it was opened from
+  if (parsePlaylistInput(input) && !/[?&]v=/.test(input)) return "playlist";
+
+  // A bare 11-char token could also be a channel name, so only a URL or a real list counts
+  const tokens = input.split(/[\s,]+/).filter(Boolean);
+  const allVideos = tokens.length > 0 && tokens.every(t => !!parseVideoIdInput(t));
+  if (allVideos && (tokens.length > 1 || /^https?:\/\//i.test(tokens[0]))) return "videos";
+
+  return "channel";
+}
+
+function parsePlaylistInput(input){
+  const s = input.trim();
+  if (/^(PL|UU|LL|FL|OL|RD|UL)[\w-]{10,}$/.test(s)) return s;
+  try{
+    if (s.startsWith("http://") || s.startsWith("https://")) {
+      const list = new URL(s).searchParams.get("list");
+      if (list) return list;
+    }
+  }catch(_){}
+  return "";
+}
+
+function parseVideoIdInput(token){
+  const s = token.trim();
+  if (/^[\w-]{11}$/.test(s)) return s;
+  try{
+    if (s.startsWith("http://") || s.startsWith("https://")) {
+      const u = new URL(s);
+      const v = u.searchParams.get("v");
+      if (v && /^[\w-]{11}$/.test(v)) return v;
+      // youtu.be/ID
+      if (/(^|\.)youtu\.be$/i.test(u.hostname)) {
+        const seg = (u.pathname || "").split("/").filter(Boolean);
+        if (seg[0] && /^[\w-]{11}$/.test(seg[0])) return seg[0];
+      }
+      // /shorts/ID, /embed/ID, /live/ID
+      const m = (u.pathname || "").match(/\/(?:shorts|embed|live|v)\/([\w-]{11})(?:[/?#]|$)/);
+      if (m) return m[1];
+    }
+  }catch(_){}
+  return "";
+}
+
+function parseVideoIdsInput(input){
+  const ids = [];
+  const seen = new Set();
+  for (const tok of input.split(/[\s,]+/)) {
+    const id = parseVideoIdInput(tok);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    ids.push(id);
+  }
+  return ids;
+}
+
+async function playlistById(playlistId, quota){
+  if (!playlistId) return null;
+  const url = ytUrl("playlists?part=snippet,contentDetails&id="+encodeURIComponent(playlistId));
+  const data = await ytFetchJson(url, quota, 1, "playlists.list");
+  return (data.items && data.items[0]) || null;
+}
+
+// ---------- Keyword search ----------
+const SEARCH_ORDERS = ["relevance", "viewCount", "date", "rating"];
+
+async function searchVideoIds(q, quota, opts){
+  const order = SEARCH_ORDERS.includes(opts.order) ? opts.order : "relevance";
+  const ids = [];
+  const seen = new Set();
+  let pageToken = "";
+  let totalResults = null;
+  while (ids.length < opts.max) {
+    let url = ytUrl("search?part=snippet&type=video&maxResults=50"+
+      "&q="+encodeURIComponent(q)+
+      "&order="+encodeURIComponent(order));
+    if (opts.days > 0) url += "&publishedAfter="+encodeURIComponent(new Date(Date.now() - opts.days * 86400000).toISOString());
+    if (opts.region) url += "&regionCode="+encodeURIComponent(opts.region);
+    if (opts.lang) url += "&relevanceLanguage="+encodeURIComponent(opts.lang);
+    if (pageToken) url += "&pageToken="+encodeURIComponent(pageToken);
+
+    const data = await ytFetchJson(url, quota, 100, "search.list(video)");
+    if (totalResults === null && data.pageInfo) totalResults = safeNum(data.pageInfo.totalResults, true);
+    for (const it of (data.items || [])) {
+      const vid = it.id && it.id.videoId;
+      if (!vid || seen.has(vid)) continue;
+      seen.add(vid);
+      ids.push(vid);
+      if (ids.length >= opts.max) break;
+    }
+    pageToken = data.nextPageToken || "";
+    if (!pageToken) break;
+  }
+  return { ids, order, totalResults };
+}
+
+async function searchBundle(q, quota, opts){
+  const found = await searchVideoIds(q, quota, opts);
+
+  let videos = [];
+  if (found.ids.length) {
+    videos = opts.lite
+      ? await fetchVideoDetails(found.ids, quota, { parts: ["snippet"], lite: true })
+      : await fetchVideoDetails(found.ids, quota, { parts: VIDEO_PARTS, lite: false });
+  }
+  const categoryMap = opts.lite ? {} : await fetchCategoryMap(opts.region || "KR", quota);
+  const outVideos = videos.map(v => normalizeVideo(v, categoryMap, opts.lite));
+  if (opts.verifyShorts) await attachShortsVerification(outVideos);
+
+  const channels = (await channelsByIds(uniq(outVideos.map(v => v.channelId).filter(Boolean)), quota)).map(normalizeChannel);
+  const outChannels = channelAggregates(channels, outVideos);
+
+  return {
+    channel: collectionChannel(outChannels, outVideos, "검색: " + q),
+    channels: outChannels,
+    videos: outVideos,
+    categoryMap,
+    source: {
+      type: "search",
+      q,
+      order: found.order,
+      region: opts.region,
+      lang: opts.lang,
+      days: opts.days,
+      totalResults: found.totalResults
+    },
+    quota: quota.summary()
+  };
+}
+
+// Per-channel rollup of matched videos, most matches first
+function channelAggregates(channels, videos){
+  const byId = {};
+  for (const v of videos) (byId[v.channelId] = byId[v.channelId] || []).push(v);
+  return channels.map(ch => {
+    const list = byId[ch.channelId] || [];
+    const views = list.map(v => v.viewCount || 0).sort((a, b) => a - b);
+    const total = views.reduce((s, x) => s + x, 0);
+    const mid = Math.floor(views.length / 2);
+    return Object.assign({}, ch, {
+      aggregate: {
+        videos: list.length,
+        totalViews: total,
+        avgViews: list.length ? Math.round(total / list.length) : 0,
+        medianViews: !views.length ? 0 : (views.length % 2 ? views[mid] : Math.round((views[mid - 1] + views[mid]) / 2)),
+        maxViews: views.length ? views[views.length - 1] : 0,
+        videoIds: list.map(v => v.videoId)
+      }
+    });
+  }).sort((a, b) => (b.aggregate.videos - a.aggregate.videos) || (b.aggregate.totalViews - a.aggregate.totalViews));
+}
+
 // ---------- Uploads -> video IDs ----------
-async function fetchUploadsVideoIds(uploadsPlaylistId, key, max, days, quota){
+// opts.newestFirst=false: playlist is not date-ordered (curated playlists), so filter by days without stopping early
+// opts.maxPages: page budget (default unlimited for uploads)
+async function fetchUploadsVideoIds(uploadsPlaylistId, max, days, quota, opts){
   if (!uploadsPlaylistId) return [];
+  const newestFirst = !(opts && opts.newestFirst === false);
+  const maxPages = (opts && opts.maxPages) || Infinity;
   const cutoff = (days<=0) ? -Infinity : (Date.now() - (days * 86400000));
   let ids = [];
   let pageToken = "";
-  while (ids.length < max) {
+  let pages = 0;
+  while (ids.length < max && pages < maxPages) {
+    pages++;
     const left = max - ids.length;
     const pageSize = Math.min(50, left);
     let url = ytUrl("playlistItems?part=snippet,contentDetails&maxResults="+pageSize+
-      "&playlistId="+encodeURIComponent(uploadsPlaylistId)+
-      "&key="+encodeURIComponent(key));
+      "&playlistId="+encodeURIComponent(uploadsPlaylistId));
     if (pageToken) url += "&pageToken="+encodeURIComponent(pageToken);
 
     const data = await ytFetchJson(url, quota, 1, "playlistItems.list");
@@ -244,7 +721,7 @@ async function fetchUploadsVideoIds(uploadsPlaylistId, key, max, days, quota){
       if (vid) {
         if (isFinite(pub) && pub < cutoff) {
           // playlist is ordered newest first; if we're already past cutoff and have some, we can stop
-          if (ids.length > 0) return ids;
+          if (newestFirst && ids.length > 0) return ids;
           // else keep going to ensure at least something
         } else {
           ids.push(vid);
@@ -258,33 +735,223 @@ async function fetchUploadsVideoIds(uploadsPlaylistId, key, max, days, quota){
   return ids.slice(0, max);
 }
 
+// Incremental uploads scan (newest first):
+// - unknown and newer than `since` -> newIds
+// - otherwise, still inside the refresh window -> refreshedIds (stats re-pulled)
+// - first item past both -> stop; everything older is already in the client's bundle
+// newIds + refreshedIds never exceed opts.max (new uploads first); hitting it or opts.maxPages sets truncated
+async function fetchUploadsDelta(uploadsPlaylistId, quota, opts){
+  const newIds = [];
+  const refreshedIds = [];
+  const cutoff = (opts.days<=0) ? -Infinity : (Date.now() - (opts.days * 86400000));
+  const maxPages = opts.maxPages || Math.ceil(opts.max / 50);
+  const full = () => newIds.length + refreshedIds.length >= opts.max;
+  let pageToken = "";
+  let pages = 0;
+  while (pages < maxPages) {
+    pages++;
+    let url = ytUrl("playlistItems?part=snippet,contentDetails&maxResults=50"+
+      "&playlistId="+encodeURIComponent(uploadsPlaylistId));
+    if (pageToken) url += "&pageToken="+encodeURIComponent(pageToken);
+
+    const data = await ytFetchJson(url, quota, 1, "playlistItems.list(incremental)");
+    for (const it of (data.items || [])) {
+      const vid = it.contentDetails && it.contentDetails.videoId;
+      const pub = it.contentDetails && it.contentDetails.videoPublishedAt ? Date.parse(it.contentDetails.videoPublishedAt)
+                : (it.snippet && it.snippet.publishedAt ? Date.parse(it.snippet.publishedAt) : NaN);
+      if (!vid) continue;
+      const known = opts.known.has(vid) || (isFinite(pub) && pub < opts.since);
+      if (!known) {
+        if (isFinite(pub) && pub < cutoff) return { newIds, refreshedIds, truncated: false };
+        newIds.push(vid);
+      } else if (isFinite(pub) && pub >= opts.refreshCutoff) {
+        refreshedIds.push(vid);
+      } else {
+        return { newIds, refreshedIds, truncated: false };
+      }
+      if (full()) return { newIds, refreshedIds, truncated: true };
+    }
+    pageToken = data.nextPageToken || "";
+    if (!pageToken) return { newIds, refreshedIds, truncated: false };
+  }
+  return { newIds, refreshedIds, truncated: true };
+}
+
+// from/to query values -> { from, to, tz } epoch ms; null when neither set.
+// A bare date is that whole day in tz (from = local 00:00, to = local 23:59:59.999); ISO values are used as is.
+const DEFAULT_RANGE_TZ = "Asia/Seoul";
+
+function parseDateRange(fromRaw, toRaw, tzRaw){
+  const f = (fromRaw || "").toString().trim();
+  const t = (toRaw || "").toString().trim();
+  if (!f && !t) return null;
+  // An unencoded "+09:00" arrives as " 09:00" ("+" decodes to a space), so an unsigned offset is read as +
+  const tz = (tzRaw || "").toString().trim().replace(/^(?=\d{2}:?\d{2}$)/, "+") || DEFAULT_RANGE_TZ;
+  if (zoneOffsetMs(tz, Date.now()) === null) return { error: "tz는 IANA 시간대(예: Asia/Seoul) 또는 +09:00 형식이어야 합니다" };
+  const parse = (s, endOfDay) => {
+    if (!s) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+      const [y, m, d] = s.split("-").map(Number);
+      return endOfDay ? zonedMidnight(y, m, d + 1, tz) - 1 : zonedMidnight(y, m, d, tz);
+    }
+    return Date.parse(s);
+  };
+  const from = f ? parse(f, false) : 0;
+  const to = t ? parse(t, true) : Date.now();
+  if (!isFinite(from) || !isFinite(to)) return { error: "from/to 날짜 형식을 확인하세요 (YYYY-MM-DD)" };
+  if (from > to) return { error: "from이 to보다 늦습니다" };
+  return { from, to, tz };
+}
+
+// UTC offset of tz at instant t (ms); null for an unknown zone
+function zoneOffsetMs(tz, t){
+  const m = tz.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (m) return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) * 60000;
+  try{
+    const p = {};
+    new Intl.DateTimeFormat("en-US", { timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" })
+      .formatToParts(new Date(t)).forEach(x => { p[x.type] = Number(x.value); });
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000;
+  }catch(_){
+    return null;
+  }
+}
+
+// Local 00:00 of y-m-d in tz as epoch ms (second pass settles DST transitions)
+function zonedMidnight(y, m, d, tz){
+  const guess = Date.UTC(y, m - 1, d);
+  const first = guess - zoneOffsetMs(tz, guess);
+  return guess - zoneOffsetMs(tz, first);
+}
+
+// Date-window scan of an uploads (newest first) or any playlist:
+// skip items newer than `to`, keep the window, stop at the first item older than `from`
+// (uploads only; curated playlists are scanned to the end). pageBudget caps playlistItems calls.
+// covered = the scan reached past `from` (or the end of the playlist), so nothing in the window was missed.
+async function fetchUploadsRange(playlistId, quota, opts){
+  const newestFirst = opts.newestFirst !== false;
+  const ids = [];
+  let pages = 0;
+  let scanned = 0;
+  let newestSeen = "";
+  let oldestSeen = "";
+  let pageToken = "";
+  const done = (covered) => ({ ids, pages, scanned, newestSeen, oldestSeen, covered, truncated: ids.length >= opts.max });
+  while (pages < opts.pageBudget) {
+    pages++;
+    let url = ytUrl("playlistItems?part=snippet,contentDetails&maxResults=50"+
+      "&playlistId="+encodeURIComponent(playlistId));
+    if (pageToken) url += "&pageToken="+encodeURIComponent(pageToken);
+
+    const data = await ytFetchJson(url, quota, 1, "playlistItems.list(range)");
+    for (const it of (data.items || [])) {
+      const vid = it.contentDetails && it.contentDetails.videoId;
+      const pubIso = (it.contentDetails && it.contentDetails.videoPublishedAt) || (it.snippet && it.snippet.publishedAt) || "";
+      const pub = Date.parse(pubIso);
+      if (!vid || !isFinite(pub)) continue;
+      scanned++;
+      if (!newestSeen || pubIso > newestSeen) newestSeen = pubIso;
+      if (!oldestSeen || pubIso < oldestSeen) oldestSeen = pubIso;
+      if (pub > opts.to) continue;
+      if (pub < opts.from) {
+        if (newestFirst) return done(true);
+        continue;
+      }
+      ids.push(vid);
+      if (ids.length >= opts.max) return done(false);
+    }
+    pageToken = data.nextPageToken || "";
+    if (!pageToken) return done(true);
+  }
+  return done(false);
+}
+
 // ---------- Video details ----------
-async function fetchVideoDetails(videoIds, key, quota, opts){
-  const parts = (opts && opts.parts) ? opts.parts : ["snippet","contentDetails","statistics"];
+// videos.list costs 1u per call regardless of parts, so full mode asks for everything useful
+const VIDEO_PARTS = ["snippet","contentDetails","statistics","topicDetails","status","liveStreamingDetails"];
+
+async function fetchVideoDetails(videoIds, quota, opts){
+  const parts = (opts && opts.parts) ? opts.parts : VIDEO_PARTS;
   const lite = !!(opts && opts.lite);
 
   const out = [];
   const chunks = chunk(videoIds, 50);
-  for (const c of chunks) {
+  for (let i=0;i<chunks.length;i++) {
+    const c = chunks[i];
     const url = ytUrl("videos?part="+encodeURIComponent(parts.join(","))+
-      "&id="+encodeURIComponent(c.join(","))+
-      "&key="+encodeURIComponent(key));
-    const data = await ytFetchJson(url, quota, 1, "videos.list");
+      "&id="+encodeURIComponent(c.join(",")));
+    let data;
+    try{
+      data = await ytFetchJson(url, quota, 1, "videos.list");
+    }catch(e){
+      // let callers keep what was fetched so far
+      e.partialItems = out;
+      e.pendingIds = [].concat(...chunks.slice(i));
+      throw e;
+    }
     const items = data.items || [];
     for (const it of items) out.push(it);
   }
   return out;
 }
 
+function uniq(arr){
+  return Array.from(new Set(arr));
+}
+
 function chunk(arr, n){
   const out = [];
   for (let i=0;i<arr.length;i+=n) out.push(arr.slice(i,i+n));
   return out;
 }
 
+// ---------- Comments ----------
+async function fetchCommentThreads(videoId, quota, opts){
+  const comments = [];
+  let pageToken = "";
+  let pages = 0;
+  while (comments.length < opts.max) {
+    let url = ytUrl("commentThreads?part=snippet&textFormat=plainText&maxResults=100"+
+      "&order="+encodeURIComponent(opts.order)+
+      "&videoId="+encodeURIComponent(videoId));
+    if (pageToken) url += "&pageToken="+encodeURIComponent(pageToken);
+
+    let data;
+    try{
+      data = await ytFetchJson(url, quota, 1, "commentThreads.list");
+    }catch(e){
+      // Disabled comments come back as 403 commentsDisabled; that's an answer, not a failure
+      if (e.code === "comments_disabled") return { disabled: true, comments: [], pages };
+      throw e;
+    }
+    pages++;
+    for (const it of (data.items || [])) {
+      comments.push(normalizeComment(it));
+      if (comments.length >= opts.max) break;
+    }
+    pageToken = data.nextPageToken || "";
+    if (!pageToken) break;
+  }
+  return { disabled: false, comments, pages, order: opts.order };
+}
+
+function normalizeComment(thread){
+  const ts = thread.snippet || {};
+  const top = (ts.topLevelComment && ts.topLevelComment.snippet) || {};
+  return {
+    commentId: thread.id || "",
+    author: top.authorDisplayName || "",
+    text: top.textDisplay || top.textOriginal || "",
+    likeCount: safeNum(top.likeCount),
+    replyCount: safeNum(ts.totalReplyCount),
+    publishedAt: top.publishedAt || "",
+    updatedAt: top.updatedAt || ""
+  };
+}
+
 // ---------- Categories ----------
-async function fetchCategoryMap(region, key, quota){
-  const url = ytUrl("videoCategories?part=snippet&regionCode="+encodeURIComponent(region)+"&key="+encodeURIComponent(key));
+async function fetchCategoryMap(region, quota){
+  const url = ytUrl("videoCategories?part=snippet&regionCode="+encodeURIComponent(region));
   const data = await ytFetchJson(url, quota, 1, "videoCategories.list");
   const items = data.items || [];
   const map = {};
@@ -315,6 +982,35 @@ function normalizeChannel(ch){
   };
 }
 
+function normalizePlaylist(p){
+  const sn = p.snippet || {};
+  const cd = p.contentDetails || {};
+  return {
+    playlistId: p.id || "",
+    title: sn.title || "",
+    channelId: sn.channelId || "",
+    channelTitle: sn.channelTitle || "",
+    publishedAt: sn.publishedAt || "",
+    itemCount: safeNum(cd.itemCount, true),
+    url: p.id ? ("https://www.youtube.com/playlist?list=" + p.id) : ""
+  };
+}
+
+// Summary row for bundles that span several channels (video lists, search)
+function collectionChannel(channels, videos, title){
+  return {
+    channelId: "",
+    title: (title || "영상 모음") + " (" + videos.length + "개 · 채널 " + channels.length + "개)",
+    customUrl: "",
+    handle: "",
+    publishedAt: "",
+    subscriberCount: null,
+    viewCount: videos.reduce((s, v) => s + (v.viewCount || 0), 0),
+    videoCount: videos.length,
+    url: ""
+  };
+}
+
 function normalizeVideo(v, categoryMap, lite){
   const sn = v.snippet || {};
   const cd = v.contentDetails || {};
@@ -325,6 +1021,8 @@ function normalizeVideo(v, categoryMap, lite){
     videoId: v.id,
     url,
     title: sn.title || "",
+    channelId: sn.channelId || "",
+    channelTitle: sn.channelTitle || "",
     publishedAt: sn.publishedAt || "",
     description: sn.description || "",
     categoryId,
@@ -332,8 +1030,114 @@ function normalizeVideo(v, categoryMap, lite){
     duration: lite ? "" : (cd.duration || ""),
     viewCount: lite ? safeNum(st.viewCount) : safeNum(st.viewCount),
     likeCount: lite ? null : safeNum(st.likeCount, true),
-    commentCount: lite ? null : safeNum(st.commentCount, true)
+    commentCount: lite ? null : safeNum(st.commentCount, true),
+    tags: Array.isArray(sn.tags) ? sn.tags : [],
+    defaultAudioLanguage: sn.defaultAudioLanguage || sn.defaultLanguage || "",
+    hasCaptions: lite ? null : cd.caption === "true",
+    definition: lite ? "" : (cd.definition || ""),
+    licensedContent: lite ? null : !!cd.licensedContent,
+    topicCategories: lite ? [] : topicLabels(v.topicDetails),
+    madeForKids: (lite || !v.status) ? null : !!v.status.madeForKids,
+    liveStatus: liveStatus(v),
+    liveStartedAt: (v.liveStreamingDetails && (v.liveStreamingDetails.actualStartTime || v.liveStreamingDetails.scheduledStartTime)) || ""
+  };
+}
+
+// topicDetails.topicCategories are Wikipedia URLs: keep the readable article name
+function topicLabels(td){
+  const urls = (td && td.topicCategories) || [];
+  return urls.map(u => {
+    const name = String(u).split("/wiki/").pop() || "";
+    try{ return decodeURIComponent(name).replace(/_/g, " "); }catch(_){ return name.replace(/_/g, " "); }
+  }).filter(Boolean);
+}
+
+// upload | live (streamed; ongoing or archived) | premiere | upcoming
+// Premieres also carry liveStreamingDetails. They air the uploaded file after a countdown
+// (1–10 min), so the broadcast runs a bit longer than the file; a stream archive is as long
+// as the broadcast itself. Heuristic, not an API field.
+function liveStatus(v){
+  const sn = v.snippet || {};
+  const ls = v.liveStreamingDetails;
+  if (sn.liveBroadcastContent === "upcoming") return "upcoming";
+  if (sn.liveBroadcastContent === "live") return "live";
+  if (!ls) return "upload";
+  const aired = (Date.parse(ls.actualEndTime) - Date.parse(ls.actualStartTime)) / 1000;
+  const file = isoSeconds((v.contentDetails || {}).duration);
+  if (isFinite(aired) && file > 0 && aired > file + 20 && aired <= file + 660) return "premiere";
+  return "live";
+}
+
+function isoSeconds(iso){
+  const m = String(iso || "").match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!m) return 0;
+  return ((+m[1]||0) * 86400) + ((+m[2]||0) * 3600) + ((+m[3]||0) * 60) + (+m[4]||0);
+}
+
+// ---------- Shorts verification ----------
+// youtube.com/shorts/{id} answers 200 for a Short and redirects (303) to /watch for anything else.
+// Longer than 180s can't be a Short, so those are decided by duration without a request.
+// Results never change for a video, so they're cached per instance; probing stops at a time budget
+// (function duration limit) and the rest come back unverified (isShort: null).
+const SHORTS_MAX_SECONDS = 180;
+const SHORTS_PROBE_BUDGET_MS = clampInt(process.env.SHORTS_PROBE_BUDGET_MS, 6000, 500, 30000);
+const SHORTS_PROBE_CONCURRENCY = 8;
+
+function shortsCache(){
+  return globalThis.__YT_SHORTS_CACHE__ || (globalThis.__YT_SHORTS_CACHE__ = new Map());
+}
+
+async function probeShort(videoId){
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 4000);
+  try{
+    const resp = await fetch("https://www.youtube.com/shorts/" + encodeURIComponent(videoId), {
+      method: "HEAD",
+      redirect: "manual",
+      signal: controller.signal,
+      headers: { "User-Agent": "Mozilla/5.0 (compatible; youtube-analyzer/1.0)" }
+    });
+    if (resp.status === 200) return true;
+    if (resp.status >= 300 && resp.status < 400) return false;
+    return null;
+  }catch(_){
+    return null;
+  }finally{
+    clearTimeout(timer);
+  }
+}
+
+async function attachShortsVerification(videos){
+  const cache = shortsCache();
+  const deadline = Date.now() + SHORTS_PROBE_BUDGET_MS;
+  const queue = [];
+  for (const v of videos) {
+    const sec = v.duration ? isoSeconds(v.duration) : null;
+    if (sec !== null && sec > SHORTS_MAX_SECONDS) {
+      v.shorts = { isShort: false, confidence: "high", source: "duration" };
+    } else if (cache.has(v.videoId)) {
+      v.shorts = Object.assign({}, cache.get(v.videoId), { cached: true });
+    } else {
+      queue.push(v);
+    }
+  }
+  const worker = async () => {
+    while (queue.length) {
+      const v = queue.shift();
+      if (Date.now() > deadline) {
+        v.shorts = { isShort: null, confidence: "none", source: "budget" };
+        continue;
+      }
+      const isShort = await probeShort(v.videoId);
+      if (isShort === null) {
+        v.shorts = { isShort: null, confidence: "none", source: "probe_failed" };
+      } else {
+        v.shorts = { isShort, confidence: "high", source: "probe" };
+        cache.set(v.videoId, v.shorts);
+      }
+    }
   };
+  await Promise.all(Array.from({ length: SHORTS_PROBE_CONCURRENCY }, worker));
 }
 
 function safeNum(v, allowNull){